@@ -0,0 +1,114 @@
+// editor-pipeline.bench.js - Prompt Inspector
+// Benchmark of the text work behind opening, toggling and typing into a large
+// Chat Completion prompt: the raw ↔ friendly transforms, their offset maps,
+// the incremental rescan and the validation. Run with `npm run bench`.
+//
+// The browser's share (setting the text, layout, paint) can't be measured in
+// Node; it is logged by the editor itself when timing logs are on (see README).
+//
+// -----------------------------------------------------------------------------
+
+import { decodeJsonStrings, encodeJsonStrings } from '../json-newlines.js';
+import { validateChatPrompt } from '../json-validation.js';
+import { createMediaStore } from '../media.js';
+
+const TARGET_MS = 200;
+const RUNS = 7;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Prompt
+// ───────────────────────────────────────────────────────────────────────────────
+/** Chat Completion prompt of about `size` characters, formatted as the editor opens it */
+function buildPrompt(size) {
+    const line = 'The quick brown fox said "hello" and jumped over the lazy dog.\tÉtoile 😀 ';
+    const messages = [{ role: 'system', content: `You are a helpful assistant.\n${line.repeat(40)}` }];
+    let length = 0;
+    for (let i = 0; length < size; i++) {
+        const content = Array.from({ length: 1 + (i % 6) }, () => line.repeat(1 + (i % 4))).join('\n\n');
+        messages.push({ role: i % 2 ? 'assistant' : 'user', name: i % 2 ? 'Alice' : 'Bob', content });
+        length += content.length + 60;
+    }
+    return JSON.stringify(messages, null, 4);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Measurement
+// ───────────────────────────────────────────────────────────────────────────────
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[sorted.length >> 1];
+}
+
+/** Median time of fn over RUNS runs, after one warm-up run. setup() runs untimed before each one. */
+function measure(fn, setup = () => undefined) {
+    fn(setup());
+    const times = [];
+    for (let i = 0; i < RUNS; i++) {
+        const input = setup();
+        const started = performance.now();
+        fn(input);
+        times.push(performance.now() - started);
+    }
+    return median(times);
+}
+
+const rows = [];
+function report(label, ms, target = null) {
+    rows.push({ step: label, 'median ms': Number(ms.toFixed(2)), target: target === null ? '' : (ms < target ? `< ${target} ok` : `< ${target} MISSED`) });
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Steps
+// ───────────────────────────────────────────────────────────────────────────────
+const raw = buildPrompt(2 * 1024 * 1024);
+const rawAtMiddle = raw.indexOf('"content"', raw.length >> 1) + 20;
+
+// Open: media placeholders, validation, then the friendly view
+const open = measure(() => {
+    const input = createMediaStore().collapse(raw);
+    validateChatPrompt(input);
+    return decodeJsonStrings(input);
+});
+report('open (collapse media, validate, decode)', open, TARGET_MS);
+
+const decoded = decodeJsonStrings(raw);
+const friendly = decoded.text;
+
+// Toggle to raw: encode the shown text, map the first visible line and the selection
+const toggleToRaw = measure(() => {
+    const { text, map } = encodeJsonStrings(friendly);
+    map.toOutput(friendly.length >> 1);
+    map.rangeToOutput({ start: 1000, end: 2000 });
+    validateChatPrompt(text);
+});
+report('toggle friendly → raw (first time, full encode)', toggleToRaw, TARGET_MS);
+
+// Toggle back: the decode of the unchanged raw text is reused; validation still reads the raw text
+const toggleBack = measure(() => {
+    const { map } = decodeJsonStrings(raw, decoded);
+    map.toOutput(rawAtMiddle);
+    validateChatPrompt(raw);
+});
+report('toggle raw → friendly (unchanged text, reused)', toggleBack, TARGET_MS);
+
+// Typing: one character in the middle, then the incremental encode the editor does on input
+const encoded = encodeJsonStrings(friendly);
+const friendlyAtMiddle = decoded.map.toOutput(rawAtMiddle);
+let typed = 0;
+const typing = measure((text) => encodeJsonStrings(text, encoded), () => {
+    typed++;
+    return `${friendly.slice(0, friendlyAtMiddle)}${typed % 2 ? '\n' : 'x'}${friendly.slice(friendlyAtMiddle)}`;
+});
+report('type one character (incremental encode)', typing);
+
+const typingFull = measure((text) => encodeJsonStrings(text), () => `${friendly.slice(0, friendlyAtMiddle)}x${friendly.slice(friendlyAtMiddle)}`);
+report('  same edit, full encode (for comparison)', typingFull);
+
+// Offset lookups, as done for the scroll position, selections, find matches and errors
+const lookups = measure(() => {
+    for (let i = 0; i < 10_000; i++) decoded.map.toOutput((i * 7919) % raw.length);
+});
+report('10,000 offset lookups', lookups);
+
+console.log(`Prompt: ${(raw.length / 1024 / 1024).toFixed(2)} MB raw, ${(friendly.length / 1024 / 1024).toFixed(2)} MB shown; Node ${process.version}; median of ${RUNS} runs`);
+console.table(rows);
@@ -0,0 +1,158 @@
+// cache-prefix.js - Prompt Inspector
+// Prompt cache prefix analysis for Chat Completion.
+//
+// Backends with prompt caching only reuse the part of a request that is
+// identical to an earlier one from the start. While inspection is on or every
+// request is logged, the last request sent in each chat is kept, and a new
+// prompt is compared against it: the first message that differs, where in its
+// content, and roughly how many tokens come before that point. A change early
+// in the prompt (a time macro, reordered world info) shows up as a short
+// shared prefix.
+//
+// -----------------------------------------------------------------------------
+
+import { countPromptTokens } from './token-counter.js';
+
+/** Chats whose last request is kept */
+const MAX_CHATS = 10;
+
+/**
+ * @typedef {object} PrefixAnalysis
+ * @property {boolean} identical Same messages as the previous request
+ * @property {number} messageIndex First message that differs (the first new one when messages were only added)
+ * @property {string} role Role of that message, empty when messages were removed
+ * @property {number} contentOffset Characters of its content shared with the previous request, -1 when something else differs (role, name, content parts) or the message is new
+ * @property {number} offset Offset in the formatted prompt (JSON, 4-space indent) where it first differs
+ * @property {number} length Length of the formatted prompt
+ * @property {number} messages Messages in the prompt
+ * @property {number} previousMessages Messages in the previous request
+ */
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+/** @type {Map<string, string>} chat id -> messages of the last request, as JSON */
+const lastRequests = new Map();
+
+export function getCacheLog() {
+    return localStorage.getItem('promptInspectorCacheLog') === 'true';
+}
+export function setCacheLog(v) {
+    localStorage.setItem('promptInspectorCacheLog', String(v));
+}
+
+/**
+ * @param {string} chatId
+ * @param {string} json Messages as sent, as JSON (the hooks have it formatted already)
+ */
+export function rememberRequest(chatId, json) {
+    lastRequests.delete(chatId);
+    lastRequests.set(chatId, json);
+    if (lastRequests.size > MAX_CHATS) lastRequests.delete(lastRequests.keys().next().value);
+}
+
+/**
+ * @param {string} chatId
+ * @returns {object[] | null}
+ */
+export function getPreviousRequest(chatId) {
+    const json = lastRequests.get(chatId);
+    return json ? JSON.parse(json) : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Analysis
+// ───────────────────────────────────────────────────────────────────────────────
+function commonPrefixLength(a, b) {
+    const n = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < n && a.charCodeAt(i) === b.charCodeAt(i)) i++;
+    return i;
+}
+
+/**
+ * Where the current messages first differ from the previous ones.
+ * @param {object[]} previous
+ * @param {object[]} current
+ * @returns {PrefixAnalysis}
+ */
+export function comparePrompts(previous, current) {
+    const previousJson = JSON.stringify(previous, null, 4);
+    const currentJson = JSON.stringify(current, null, 4);
+    const offset = commonPrefixLength(previousJson, currentJson);
+
+    let messageIndex = 0;
+    while (messageIndex < previous.length && messageIndex < current.length
+        && JSON.stringify(previous[messageIndex]) === JSON.stringify(current[messageIndex])) messageIndex++;
+
+    const before = previous[messageIndex];
+    const after = current[messageIndex];
+    let contentOffset = -1;
+    if (before && after && typeof before.content === 'string' && typeof after.content === 'string' && before.content !== after.content) {
+        contentOffset = commonPrefixLength(before.content, after.content);
+    }
+
+    return {
+        identical: previousJson === currentJson,
+        messageIndex,
+        role: String(after?.role ?? ''),
+        contentOffset,
+        offset,
+        length: currentJson.length,
+        messages: current.length,
+        previousMessages: previous.length,
+    };
+}
+
+/**
+ * Estimated tokens of the shared prefix: whole messages before the difference plus the shared start of its content.
+ * @param {object[]} current
+ * @param {PrefixAnalysis} analysis
+ * @param {number[] | null} [perMessage] Token counts of the current messages, if already known
+ * @returns {Promise<number>}
+ */
+export async function estimateSharedTokens(current, analysis, perMessage = null) {
+    const shared = analysis.identical ? current.length : analysis.messageIndex;
+    let tokens = perMessage?.length === current.length
+        ? perMessage.slice(0, shared).reduce((a, b) => a + b, 0)
+        : (await countPromptTokens('', current.slice(0, shared))).total;
+    if (!analysis.identical && analysis.contentOffset > 0) {
+        tokens += (await countPromptTokens(current[analysis.messageIndex].content.slice(0, analysis.contentOffset), null)).total;
+    }
+    return tokens;
+}
+
+/**
+ * One line for the editor and the console.
+ * @param {PrefixAnalysis} analysis
+ * @param {number | null} tokens Shared tokens, null while counting
+ * @returns {string}
+ */
+export function describePrefix(analysis, tokens) {
+    const share = analysis.length ? Math.round(analysis.offset / analysis.length * 100) : 100;
+    const size = tokens === null ? `${share}% of the prompt` : `~${tokens} tokens, ${share}% of the prompt`;
+    if (analysis.identical) return `Same as the previous request (${size} cached)`;
+
+    const message = `#${analysis.messageIndex}${analysis.role ? ` ${analysis.role}` : ''}`;
+    let where;
+    if (analysis.messageIndex >= analysis.messages) where = `after message #${analysis.messageIndex - 1} (messages were removed)`;
+    else if (analysis.messageIndex >= analysis.previousMessages) where = `at the first new message ${message} (only messages were added)`;
+    else if (analysis.contentOffset >= 0) where = `at message ${message}, character ${analysis.contentOffset} of its content`;
+    else where = `at message ${message}`;
+    return `Differs from the previous request ${where}, offset ${analysis.offset}; shared prefix ${size}`;
+}
+
+/**
+ * Passive mode: logs the comparison without opening anything.
+ * @param {object[]} previous
+ * @param {object[]} current
+ */
+export async function logPrefix(previous, current) {
+    try {
+        const analysis = comparePrompts(previous, current);
+        const tokens = await estimateSharedTokens(current, analysis);
+        console.info(`Prompt Inspector: Cache prefix: ${describePrefix(analysis, tokens)}`);
+    } catch (e) {
+        console.warn('Prompt Inspector: Could not compare the prompt with the previous request', e);
+    }
+}
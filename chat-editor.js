@@ -0,0 +1,546 @@
+// chat-editor.js - Prompt Inspector
+// Structured per-message editor for Chat Completion prompts.
+//
+// Each message of the prompt array is rendered as a card with a role dropdown,
+// an optional name and a plain textarea for the content (so line breaks are real).
+// Cards can be added, deleted, duplicated and reordered by drag or keyboard
+// (Alt+ArrowUp / Alt+ArrowDown on a focused card or handle).
+//
+// Content arrays are edited part by part: text parts as text, images as a
+// thumbnail that can be replaced or removed, anything else as JSON. Tool calls
+// of assistant messages are blocks with the function name and arguments, and
+// tool results show the id of the call they answer. Everything that isn't
+// edited (ids, unknown fields and parts) is put back exactly as it was.
+//
+// -----------------------------------------------------------------------------
+
+import { t } from '../../../i18n.js';
+import { pickDataUrlFile } from './media.js';
+
+export const CHAT_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+/**
+ * @typedef {object} ContentPart
+ * @property {'text' | 'image' | 'json'} kind
+ * @property {any} part Original part (images: with the current URL)
+ * @property {string} text Text of a text part, JSON of another part
+ */
+
+/**
+ * @typedef {object} ToolCall
+ * @property {any} call Original call
+ * @property {string} name
+ * @property {string} args Arguments as shown (pretty-printed when they are JSON)
+ * @property {string} shownArgs Arguments as first shown, to keep the original string when they aren't edited
+ */
+
+/** @returns {ContentPart} */
+function toPart(part) {
+    if (part?.type === 'text' && typeof part.text === 'string') return { kind: 'text', part, text: part.text };
+    if (part?.type === 'image_url' && typeof part.image_url?.url === 'string') return { kind: 'image', part, text: '' };
+    return { kind: 'json', part, text: JSON.stringify(part, null, 2) };
+}
+
+/** @returns {ToolCall} */
+function toToolCall(call) {
+    const raw = call?.function?.arguments;
+    let args = typeof raw === 'string' ? raw : JSON.stringify(raw ?? {}, null, 2);
+    try { args = JSON.stringify(JSON.parse(args), null, 2); } catch { /* shown as sent */ }
+    return { call, name: String(call?.function?.name ?? ''), args, shownArgs: args };
+}
+
+/**
+ * Converts a parsed prompt into card items.
+ * @param {any[]} messages
+ */
+function toItems(messages) {
+    return messages.map((m) => {
+        const message = (m && typeof m === 'object' && !Array.isArray(m)) ? structuredClone(m) : { role: 'user', content: String(m ?? '') };
+        // Missing and null content (assistant messages with only tool calls) are edited as empty text
+        const isText = typeof message.content === 'string' || message.content == null;
+        const isParts = Array.isArray(message.content) && message.content.every(part => part && typeof part === 'object');
+        return {
+            message,
+            contentIsJson: !isText && !isParts,
+            contentText: isText ? (message.content ?? '') : isParts ? '' : JSON.stringify(message.content, null, 2),
+            /** @type {ContentPart[] | null} */
+            parts: isParts ? message.content.map(toPart) : null,
+            /** @type {ToolCall[] | null} */
+            toolCalls: Array.isArray(message.tool_calls) ? message.tool_calls.map(toToolCall) : null,
+        };
+    });
+}
+
+// Short description of an image URL: media type and size for data URLs, the address otherwise
+function describeImage(url) {
+    const match = /^data:([^;,]+)[^,]*,(?:⟦media \d+, ([^⟧]*)⟧)?/.exec(url);
+    if (match) return match[2] ? `${match[1]}, ${match[2]}` : match[1];
+    return url.length > 80 ? `${url.slice(0, 77)}…` : url;
+}
+
+/** Grows a textarea to its content, up to half the window height */
+export function autoResize(textarea) {
+    textarea.style.height = 'auto';
+    textarea.style.height = `${Math.min(textarea.scrollHeight + 2, window.innerHeight * 0.5)}px`;
+}
+
+/** Small icon button; clicks are dispatched on its data-action */
+export function iconButton(icon, title, action) {
+    const btn = document.createElement('div');
+    btn.className = `menu_button menu_button_icon fa-solid ${icon}`;
+    btn.title = title;
+    btn.tabIndex = 0;
+    btn.dataset.action = action;
+    btn.style.margin = '0';
+    return btn;
+}
+
+/**
+ * Creates a card editor for an array of chat messages.
+ * @param {any[]} messages Parsed prompt array
+ * @param {object} [options]
+ * @param {(url: string) => string} [options.resolveMedia] Full URL for a media placeholder, for thumbnails
+ * @param {(dataUrl: string) => string} [options.addMedia] URL to put in the prompt for a newly picked file
+ * @returns {{ element: HTMLDivElement, getMessages: () => object[], setMessages: (messages: any[]) => void, focusCard: (index: number) => void, setTokenCounts: (counts: number[]) => void, onChange: (cb: () => void) => void }}
+ */
+export function createChatCardEditor(messages, { resolveMedia = (url) => url, addMedia = (dataUrl) => dataUrl } = {}) {
+    let items = toItems(messages);
+    let dragIndex = -1;
+    const changeListeners = [];
+
+    const root = document.createElement('div');
+    root.id = 'inspectPromptCards';
+    root.className = 'flex1 flex-container flexFlowColumn flexNoGap';
+    root.style.overflow = 'auto';
+    root.style.minHeight = '0';
+
+    const list = document.createElement('div');
+    list.className = 'flex-container flexFlowColumn';
+    list.style.gap = '8px';
+    root.appendChild(list);
+
+    const addButton = document.createElement('div');
+    addButton.className = 'menu_button menu_button_icon';
+    addButton.tabIndex = 0;
+    addButton.innerHTML = '<i class="fa-solid fa-plus"></i>';
+    const addLabel = document.createElement('span');
+    addLabel.textContent = t`Add message`;
+    addButton.appendChild(addLabel);
+    addButton.style.alignSelf = 'center';
+    addButton.style.marginTop = '8px';
+    addButton.addEventListener('click', () => {
+        items.push({ message: { role: 'user', content: '' }, contentIsJson: false, contentText: '', parts: null, toolCalls: null });
+        render();
+        emitChange();
+        focusCard(items.length - 1, 'textarea');
+    });
+    root.appendChild(addButton);
+
+    function emitChange() {
+        for (const cb of changeListeners) cb();
+    }
+
+    function move(from, to) {
+        if (from === to || from < 0 || to < 0 || from >= items.length || to >= items.length) return false;
+        const [item] = items.splice(from, 1);
+        items.splice(to, 0, item);
+        render();
+        emitChange();
+        return true;
+    }
+
+    function focusCard(index, selector = '.prompt-inspector-card-handle') {
+        const card = list.children[index];
+        if (!card) return;
+        const target = card.querySelector(selector);
+        if (target instanceof HTMLElement) {
+            target.focus();
+            target.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    function buildCard(item, index) {
+        const card = document.createElement('div');
+        card.className = 'prompt-inspector-card flex-container flexFlowColumn';
+        card.dataset.index = String(index);
+        card.style.border = '1px solid var(--SmartThemeBorderColor)';
+        card.style.borderRadius = '8px';
+        card.style.padding = '6px 8px';
+        card.style.gap = '4px';
+
+        const header = document.createElement('div');
+        header.className = 'flex-container alignItemsCenter';
+        header.style.gap = '6px';
+
+        const handle = document.createElement('div');
+        handle.className = 'prompt-inspector-card-handle fa-solid fa-grip-vertical';
+        handle.tabIndex = 0;
+        handle.title = t`Drag to reorder (or Alt+Up / Alt+Down)`;
+        handle.style.cursor = 'grab';
+        handle.style.padding = '4px';
+        handle.addEventListener('mousedown', () => { card.draggable = true; });
+        handle.addEventListener('mouseup', () => { card.draggable = false; });
+        header.appendChild(handle);
+
+        const number = document.createElement('small');
+        number.textContent = `#${index}`;
+        number.style.opacity = '0.7';
+        header.appendChild(number);
+
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'text_pole';
+        roleSelect.style.width = 'auto';
+        roleSelect.style.margin = '0';
+        const roles = CHAT_ROLES.includes(item.message.role) || !item.message.role ? CHAT_ROLES : [...CHAT_ROLES, item.message.role];
+        for (const role of roles) {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role;
+            roleSelect.appendChild(option);
+        }
+        roleSelect.value = item.message.role ?? 'user';
+        roleSelect.addEventListener('change', () => { item.message.role = roleSelect.value; emitChange(); });
+        header.appendChild(roleSelect);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'text_pole';
+        nameInput.placeholder = t`name (optional)`;
+        nameInput.value = item.message.name ?? '';
+        nameInput.style.width = 'auto';
+        nameInput.style.flex = '1';
+        nameInput.style.margin = '0';
+        nameInput.addEventListener('input', () => {
+            if (nameInput.value) item.message.name = nameInput.value;
+            else delete item.message.name;
+            emitChange();
+        });
+        header.appendChild(nameInput);
+
+        const tokens = document.createElement('small');
+        tokens.className = 'prompt-inspector-card-tokens';
+        tokens.style.opacity = '0.7';
+        tokens.style.whiteSpace = 'nowrap';
+        tokens.textContent = typeof item.tokens === 'number' ? `${item.tokens} t` : '';
+        tokens.title = t`Tokens`;
+        header.appendChild(tokens);
+
+        header.appendChild(iconButton('fa-arrow-up', t`Move up`, 'up'));
+        header.appendChild(iconButton('fa-arrow-down', t`Move down`, 'down'));
+        header.appendChild(iconButton('fa-clone', t`Duplicate`, 'duplicate'));
+        header.appendChild(iconButton('fa-trash-can', t`Delete`, 'delete'));
+        card.appendChild(header);
+
+        if (item.message.role === 'tool' || item.message.tool_call_id !== undefined) card.appendChild(buildToolResultRow(item));
+
+        if (item.parts) {
+            item.parts.forEach((part, partIndex) => card.appendChild(buildPart(item, part, partIndex, card)));
+        } else {
+            const textarea = contentTextarea(item.contentText, (value) => { item.contentText = value; });
+            if (item.contentIsJson) textarea.title = t`Non-text content, edited as JSON`;
+            card.appendChild(textarea);
+        }
+
+        item.toolCalls?.forEach((call, callIndex) => card.appendChild(buildToolCall(item, call, callIndex, card)));
+
+        header.addEventListener('click', (e) => {
+            const action = e.target instanceof HTMLElement ? e.target.dataset.action : null;
+            if (!action) return;
+            onAction(action, Number(card.dataset.index));
+        });
+        header.addEventListener('keydown', (e) => {
+            const action = e.target instanceof HTMLElement ? e.target.dataset.action : null;
+            if (action && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                onAction(action, Number(card.dataset.index));
+            }
+        });
+        card.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            e.preventDefault();
+            const from = Number(card.dataset.index);
+            const to = e.key === 'ArrowUp' ? from - 1 : from + 1;
+            const fromTextarea = e.target instanceof HTMLTextAreaElement;
+            if (move(from, to)) focusCard(to, fromTextarea ? 'textarea' : '.prompt-inspector-card-handle');
+        });
+
+        card.addEventListener('dragstart', (e) => {
+            dragIndex = Number(card.dataset.index);
+            card.style.opacity = '0.5';
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(dragIndex));
+        });
+        card.addEventListener('dragend', () => {
+            card.draggable = false;
+            card.style.opacity = '';
+            dragIndex = -1;
+        });
+        card.addEventListener('dragover', (e) => {
+            if (dragIndex < 0) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        card.addEventListener('drop', (e) => {
+            if (dragIndex < 0) return;
+            e.preventDefault();
+            const target = Number(card.dataset.index);
+            const rect = card.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            let to = after ? target + 1 : target;
+            if (dragIndex < to) to -= 1;
+            move(dragIndex, to);
+        });
+
+        return card;
+    }
+
+    function contentTextarea(value, onInput) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'text_pole monospace textarea_compact';
+        textarea.value = value;
+        textarea.rows = 2;
+        textarea.style.resize = 'vertical';
+        textarea.style.margin = '0';
+        textarea.addEventListener('input', () => {
+            onInput(textarea.value);
+            autoResize(textarea);
+            emitChange();
+        });
+        return textarea;
+    }
+
+    // Sub-block of a card (content part, tool call) with a title row and its own actions
+    function subBlock(label, actions) {
+        const block = document.createElement('div');
+        block.className = 'prompt-inspector-card-part flex-container flexFlowColumn';
+        const row = document.createElement('div');
+        row.className = 'flex-container alignItemsCenter';
+        row.style.gap = '6px';
+        const title = document.createElement('small');
+        title.className = 'prompt-inspector-card-part-label';
+        title.textContent = label;
+        row.appendChild(title);
+        for (const [icon, text, onClick] of actions) {
+            const button = iconButton(icon, text, '');
+            button.addEventListener('click', onClick);
+            button.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                onClick();
+            });
+            row.appendChild(button);
+        }
+        block.appendChild(row);
+        return { block, row };
+    }
+
+    function rerenderCard(card) {
+        const index = Number(card.dataset.index);
+        card.replaceWith(buildCard(items[index], index));
+        const textareas = list.children[index]?.querySelectorAll('textarea') ?? [];
+        requestAnimationFrame(() => textareas.forEach(autoResize));
+        emitChange();
+    }
+
+    function buildPart(item, part, partIndex, card) {
+        const remove = ['fa-trash-can', t`Remove this part`, () => {
+            item.parts.splice(partIndex, 1);
+            rerenderCard(card);
+        }];
+
+        if (part.kind === 'image') {
+            const url = part.part.image_url.url;
+            const replace = ['fa-file-image', t`Replace the image`, async () => {
+                const file = await pickDataUrlFile('image/*');
+                if (!file) return;
+                part.part = { ...part.part, image_url: { ...part.part.image_url, url: addMedia(file.dataUrl) } };
+                rerenderCard(card);
+            }];
+            const { block, row } = subBlock(t`Image`, [replace, remove]);
+            const info = document.createElement('small');
+            info.className = 'prompt-inspector-card-part-info';
+            info.textContent = describeImage(url);
+            info.title = url;
+            row.insertBefore(info, row.children[1]);
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'prompt-inspector-card-thumbnail';
+            thumbnail.src = resolveMedia(url);
+            thumbnail.alt = t`Image`;
+            thumbnail.loading = 'lazy';
+            block.appendChild(thumbnail);
+            return block;
+        }
+
+        const label = part.kind === 'text' ? t`Text` : t`Part (JSON)`;
+        const { block } = subBlock(label, [remove]);
+        block.appendChild(contentTextarea(part.text, (value) => { part.text = value; }));
+        return block;
+    }
+
+    function buildToolCall(item, call, callIndex, card) {
+        const remove = ['fa-trash-can', t`Remove this tool call`, () => {
+            item.toolCalls.splice(callIndex, 1);
+            rerenderCard(card);
+        }];
+        const { block, row } = subBlock(t`Tool call`, [remove]);
+        block.classList.add('prompt-inspector-card-tool');
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'text_pole monospace';
+        name.placeholder = t`function name`;
+        name.value = call.name;
+        name.style.flex = '1';
+        name.style.margin = '0';
+        name.addEventListener('input', () => {
+            call.name = name.value;
+            emitChange();
+        });
+        row.insertBefore(name, row.children[1]);
+
+        if (call.call?.id) {
+            const id = document.createElement('small');
+            id.className = 'prompt-inspector-card-part-info';
+            id.textContent = call.call.id;
+            id.title = t`Tool call id`;
+            row.insertBefore(id, name.nextSibling);
+        }
+
+        const args = contentTextarea(call.args, (value) => { call.args = value; });
+        args.title = t`Arguments (JSON)`;
+        block.appendChild(args);
+        return block;
+    }
+
+    function buildToolResultRow(item) {
+        const row = document.createElement('div');
+        row.className = 'flex-container alignItemsCenter';
+        row.style.gap = '6px';
+        const label = document.createElement('small');
+        label.className = 'prompt-inspector-card-part-label';
+        label.textContent = t`Result of tool call`;
+        row.appendChild(label);
+
+        const id = document.createElement('input');
+        id.type = 'text';
+        id.className = 'text_pole monospace';
+        id.placeholder = t`tool call id`;
+        id.value = item.message.tool_call_id ?? '';
+        id.style.flex = '1';
+        id.style.margin = '0';
+        id.addEventListener('input', () => {
+            item.message.tool_call_id = id.value;
+            emitChange();
+        });
+        row.appendChild(id);
+        return row;
+    }
+
+    function onAction(action, index) {
+        switch (action) {
+            case 'up':
+                if (move(index, index - 1)) focusCard(index - 1);
+                break;
+            case 'down':
+                if (move(index, index + 1)) focusCard(index + 1);
+                break;
+            case 'duplicate':
+                items.splice(index + 1, 0, structuredClone(items[index]));
+                render();
+                emitChange();
+                focusCard(index + 1);
+                break;
+            case 'delete':
+                items.splice(index, 1);
+                render();
+                emitChange();
+                focusCard(Math.min(index, items.length - 1));
+                break;
+        }
+    }
+
+    function render() {
+        const scrollTop = root.scrollTop;
+        list.innerHTML = '';
+        items.forEach((item, index) => list.appendChild(buildCard(item, index)));
+        root.scrollTop = scrollTop;
+        // Sizes are only known once the cards are attached
+        requestAnimationFrame(() => list.querySelectorAll('textarea').forEach(autoResize));
+    }
+
+    function partToContent(part, index, partIndex) {
+        if (part.kind === 'text') return { ...part.part, text: part.text };
+        if (part.kind === 'image') return structuredClone(part.part);
+        try {
+            return JSON.parse(part.text);
+        } catch (e) {
+            throw new Error(t`Message #${index} part ${partIndex + 1} is not valid JSON: ${e.message}`);
+        }
+    }
+
+    function toolCallToMessage(call) {
+        const value = structuredClone(call.call ?? {});
+        value.function = { ...value.function, name: call.name };
+        // Unedited arguments keep their original string
+        value.function.arguments = call.args === call.shownArgs && call.call?.function?.arguments !== undefined
+            ? call.call.function.arguments
+            : call.args;
+        return value;
+    }
+
+    /**
+     * Rebuilds the prompt array from the cards.
+     * @throws {Error} If a non-text content field is not valid JSON
+     */
+    function getMessages() {
+        return items.map((item, index) => {
+            const message = structuredClone(item.message);
+            if (item.parts) {
+                message.content = item.parts.map((part, partIndex) => partToContent(part, index, partIndex));
+            } else if (item.contentIsJson) {
+                try {
+                    message.content = JSON.parse(item.contentText);
+                } catch (e) {
+                    throw new Error(t`Message #${index} content is not valid JSON: ${e.message}`);
+                }
+            } else if (item.contentText || typeof item.message.content === 'string') {
+                message.content = item.contentText;
+            }
+            // else: content stays missing or null, as it was
+            if (item.toolCalls) {
+                if (item.toolCalls.length) message.tool_calls = item.toolCalls.map(toolCallToMessage);
+                // Removing every call drops the key; a list that came empty stays
+                else if (item.message.tool_calls.length) delete message.tool_calls;
+            }
+            return message;
+        });
+    }
+
+    function setMessages(messages) {
+        items = toItems(messages);
+        render();
+    }
+
+    /**
+     * Shows a token count in each card header.
+     * @param {number[]} counts Token counts in card order
+     */
+    function setTokenCounts(counts) {
+        items.forEach((item, index) => {
+            item.tokens = counts[index];
+            const label = list.children[index]?.querySelector('.prompt-inspector-card-tokens');
+            if (label) label.textContent = typeof item.tokens === 'number' ? `${item.tokens} t` : '';
+        });
+    }
+
+    render();
+
+    return {
+        element: root,
+        getMessages,
+        setMessages,
+        focusCard,
+        setTokenCounts,
+        onChange: (cb) => { changeListeners.push(cb); },
+    };
+}
@@ -0,0 +1,297 @@
+// diff-review.js - Prompt Inspector
+// "Review changes" popup: line/word diff of the edited prompt against the original,
+// inline or side by side, with per-hunk revert. Chat Completion prompts are grouped
+// per message (added / removed / modified).
+//
+// -----------------------------------------------------------------------------
+
+import { POPUP_RESULT, POPUP_TYPE, Popup } from '../../../popup.js';
+import { diffLines, diffSequences, diffWords, groupChanges, revertGroup } from './diff.js';
+import { jsonStringsDisplayNewlines, jsonStringsSaveNewlines } from './json-newlines.js';
+
+const CONTEXT_LINES = 3;
+
+function getDiffViewDefault() {
+    return localStorage.getItem('promptInspectorDiffView') === 'split' ? 'split' : 'inline';
+}
+function setDiffView(v) {
+    localStorage.setItem('promptInspectorDiffView', v);
+}
+
+function parseArray(text) {
+    try {
+        const value = JSON.parse(text);
+        return Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+function formatMessage(message) {
+    return jsonStringsDisplayNewlines(JSON.stringify(message, null, 4));
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function wordSpans(parts, changedClass) {
+    const cell = el('td', 'prompt-inspector-diff-text');
+    for (const part of parts) cell.appendChild(el('span', part.changed ? changedClass : '', part.text));
+    return cell;
+}
+
+function textCell(text) {
+    return el('td', 'prompt-inspector-diff-text', text);
+}
+
+function revertButton(label, onClick) {
+    const btn = el('div', 'menu_button menu_button_icon prompt-inspector-diff-revert');
+    btn.tabIndex = 0;
+    btn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+    btn.appendChild(el('span', '', label));
+    btn.addEventListener('click', onClick);
+    btn.addEventListener('keydown', (e) => { if (e.key === 'Enter') onClick(); });
+    return btn;
+}
+
+/**
+ * Renders a line diff as a table.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {'inline' | 'split'} view
+ * @param {((text: string) => void) | null} onRevert Receives the new text with one hunk reverted
+ */
+function renderLineDiff(oldText, newText, view, onRevert) {
+    const { oldLines, newLines, groups } = diffLines(oldText, newText);
+    const table = el('table', `prompt-inspector-diff prompt-inspector-diff-${view}`);
+    const span = view === 'split' ? 4 : 3;
+
+    const addRow = (cells, className = '') => {
+        const tr = el('tr', className);
+        cells.forEach((c) => tr.appendChild(c));
+        table.appendChild(tr);
+    };
+    const num = (n) => el('td', 'prompt-inspector-diff-num', n == null ? '' : String(n + 1));
+
+    const addEqual = (aIndex, bIndex) => {
+        if (view === 'split') addRow([num(aIndex), textCell(oldLines[aIndex]), num(bIndex), textCell(newLines[bIndex])]);
+        else addRow([num(aIndex), num(bIndex), textCell(newLines[bIndex])]);
+    };
+    const addCollapsed = (count) => {
+        const td = el('td', 'prompt-inspector-diff-collapsed', `⋯ ${count} unchanged line${count === 1 ? '' : 's'}`);
+        td.colSpan = span;
+        addRow([td]);
+    };
+
+    const renderEqual = (aStart, aEnd, bStart, hasBefore, hasAfter) => {
+        const count = aEnd - aStart;
+        const head = hasBefore ? Math.min(CONTEXT_LINES, count) : 0;
+        const tail = hasAfter ? Math.min(CONTEXT_LINES, count - head) : 0;
+        for (let i = 0; i < head; i++) addEqual(aStart + i, bStart + i);
+        if (count - head - tail > 0) addCollapsed(count - head - tail);
+        for (let i = count - tail; i < count; i++) addEqual(aStart + i, bStart + i);
+    };
+
+    const renderGroup = (group) => {
+        if (onRevert) {
+            const td = el('td', 'prompt-inspector-diff-hunk');
+            td.colSpan = span;
+            td.appendChild(el('small', '', `@@ −${group.aStart + 1},${group.aEnd - group.aStart} +${group.bStart + 1},${group.bEnd - group.bStart} @@`));
+            td.appendChild(revertButton('Revert', () => onRevert(revertGroup(oldLines, newLines, group))));
+            addRow([td]);
+        }
+
+        const aLen = group.aEnd - group.aStart;
+        const bLen = group.bEnd - group.bStart;
+        const paired = Math.min(aLen, bLen);
+        const words = [];
+        for (let i = 0; i < paired; i++) words.push(diffWords(oldLines[group.aStart + i], newLines[group.bStart + i]));
+
+        const delCell = (i) => i < paired ? wordSpans(words[i].old, 'prompt-inspector-diff-word-del') : textCell(oldLines[group.aStart + i]);
+        const insCell = (i) => i < paired ? wordSpans(words[i].new, 'prompt-inspector-diff-word-ins') : textCell(newLines[group.bStart + i]);
+
+        if (view === 'split') {
+            for (let i = 0; i < Math.max(aLen, bLen); i++) {
+                const left = i < aLen ? [num(group.aStart + i), delCell(i)] : [num(null), el('td', 'prompt-inspector-diff-empty')];
+                const right = i < bLen ? [num(group.bStart + i), insCell(i)] : [num(null), el('td', 'prompt-inspector-diff-empty')];
+                left[1].classList.add(i < aLen ? 'prompt-inspector-diff-del' : 'prompt-inspector-diff-empty');
+                right[1].classList.add(i < bLen ? 'prompt-inspector-diff-ins' : 'prompt-inspector-diff-empty');
+                addRow([...left, ...right]);
+            }
+            return;
+        }
+        for (let i = 0; i < aLen; i++) addRow([num(group.aStart + i), num(null), delCell(i)], 'prompt-inspector-diff-del');
+        for (let i = 0; i < bLen; i++) addRow([num(null), num(group.bStart + i), insCell(i)], 'prompt-inspector-diff-ins');
+    };
+
+    let aPos = 0;
+    let bPos = 0;
+    groups.forEach((group, index) => {
+        renderEqual(aPos, group.aStart, bPos, index > 0, true);
+        renderGroup(group);
+        aPos = group.aEnd;
+        bPos = group.bEnd;
+    });
+    renderEqual(aPos, oldLines.length, bPos, groups.length > 0, false);
+
+    const added = groups.reduce((n, g) => n + g.bEnd - g.bStart, 0);
+    const removed = groups.reduce((n, g) => n + g.aEnd - g.aStart, 0);
+    return { table, added, removed, hunks: groups.length };
+}
+
+function messageLabel(message, index) {
+    const role = message && typeof message === 'object' ? (message.role ?? '?') : typeof message;
+    return `Message #${index} (${role})`;
+}
+
+/**
+ * Renders a per-message diff of two chat prompts.
+ * @returns {HTMLElement}
+ */
+function renderMessageDiff(oldMessages, newMessages, view, onChange) {
+    const root = el('div', 'flex-container flexFlowColumn');
+    const oldKeys = oldMessages.map((m) => JSON.stringify(m));
+    const newKeys = newMessages.map((m) => JSON.stringify(m));
+    const ops = diffSequences(oldKeys, newKeys);
+    const groups = groupChanges(ops);
+
+    const canRevert = typeof onChange === 'function';
+    const section = (title, kind, action) => {
+        const box = el('div', `prompt-inspector-diff-message prompt-inspector-diff-message-${kind}`);
+        const header = el('div', 'flex-container alignItemsCenter justifySpaceBetween');
+        header.appendChild(el('b', '', title));
+        if (action && canRevert) header.appendChild(action);
+        box.appendChild(header);
+        root.appendChild(box);
+        return box;
+    };
+    const unchanged = (from, to) => {
+        if (to <= from) return;
+        const label = to - from === 1 ? `Message #${from} unchanged` : `Messages #${from}–#${to - 1} unchanged`;
+        root.appendChild(el('div', 'prompt-inspector-diff-collapsed', label));
+    };
+
+    let bPos = 0;
+    for (const group of groups) {
+        unchanged(bPos, group.bStart);
+        const aLen = group.aEnd - group.aStart;
+        const bLen = group.bEnd - group.bStart;
+
+        for (let j = 0; j < Math.min(aLen, bLen); j++) {
+            const oldMessage = oldMessages[group.aStart + j];
+            const newIndex = group.bStart + j;
+            const revertAll = revertButton('Revert message', () => {
+                newMessages[newIndex] = structuredClone(oldMessage);
+                onChange();
+            });
+            const box = section(`${messageLabel(newMessages[newIndex], newIndex)} — modified`, 'modified', revertAll);
+            const { table } = renderLineDiff(formatMessage(oldMessage), formatMessage(newMessages[newIndex]), view, canRevert && ((text) => {
+                try {
+                    newMessages[newIndex] = JSON.parse(jsonStringsSaveNewlines(text));
+                } catch {
+                    toastr.warning('This hunk can\'t be reverted on its own, the whole message was reverted.');
+                    newMessages[newIndex] = structuredClone(oldMessage);
+                }
+                onChange();
+            }));
+            box.appendChild(table);
+        }
+        // Removed messages that were restored, kept in their original order after the group
+        const restored = [];
+        for (let j = bLen; j < aLen; j++) {
+            const oldMessage = oldMessages[group.aStart + j];
+            const restore = revertButton('Restore', () => {
+                const at = restored.findIndex((other) => other > j);
+                const offset = at === -1 ? restored.length : at;
+                restored.splice(offset, 0, j);
+                newMessages.splice(group.bEnd + offset, 0, structuredClone(oldMessage));
+                onChange();
+            });
+            const box = section(`${messageLabel(oldMessage, group.aStart + j)} — removed`, 'removed', restore);
+            box.appendChild(renderLineDiff(formatMessage(oldMessage), '', view, null).table);
+        }
+        for (let j = aLen; j < bLen; j++) {
+            const newIndex = group.bStart + j;
+            const remove = revertButton('Remove', () => {
+                newMessages.splice(newIndex, 1);
+                onChange();
+            });
+            const box = section(`${messageLabel(newMessages[newIndex], newIndex)} — added`, 'added', remove);
+            box.appendChild(renderLineDiff('', formatMessage(newMessages[newIndex]), view, null).table);
+        }
+        bPos = group.bEnd;
+    }
+    unchanged(bPos, newMessages.length);
+
+    return { element: root, changed: groups.length };
+}
+
+/**
+ * Shows the edited prompt as a diff against the original.
+ * @param {string} original Original raw prompt
+ * @param {string} current Edited raw prompt
+ * @param {object} [options]
+ * @param {boolean} [options.messages] Group by chat message when both prompts are JSON arrays
+ * @param {boolean} [options.confirm] Ask to send ("Send" / "Back to editor") instead of just closing
+ * @param {boolean} [options.readOnly] Hide the revert actions
+ * @returns {Promise<{ confirmed: boolean, text: string }>} `text` has any reverted hunks applied
+ */
+export async function showDiffReview(original, current, { messages = false, confirm = false, readOnly = false } = {}) {
+    let text = current;
+    let view = getDiffViewDefault();
+
+    const root = el('div', 'flex-container flexFlowColumn');
+    const toolbar = el('div', 'flex-container alignItemsCenter justifySpaceBetween');
+    const summary = el('span', 'prompt-inspector-diff-summary');
+    const buttons = el('div', 'flex-container');
+    const viewButton = el('div', 'menu_button menu_button_icon');
+    viewButton.tabIndex = 0;
+    const revertAllButton = revertButton('Revert all', () => { text = original; render(); });
+    buttons.append(viewButton, revertAllButton);
+    toolbar.append(summary, buttons);
+    const body = el('div', 'prompt-inspector-diff-body');
+    root.append(el('h3', '', 'Review changes'), toolbar, body);
+
+    function render() {
+        viewButton.textContent = view === 'split' ? 'Inline view' : 'Side-by-side view';
+        body.innerHTML = '';
+
+        const oldMessages = messages ? parseArray(original) : null;
+        const newMessages = messages ? parseArray(text) : null;
+        if (oldMessages && newMessages) {
+            const { element, changed } = renderMessageDiff(oldMessages, newMessages, view, readOnly ? null : () => {
+                text = JSON.stringify(newMessages, null, 4);
+                render();
+            });
+            summary.textContent = changed ? `${changed} changed message group${changed === 1 ? '' : 's'}` : 'No message changes';
+            body.appendChild(element);
+        } else {
+            const { table, added, removed, hunks } = renderLineDiff(original, text, view, readOnly ? null : (reverted) => { text = reverted; render(); });
+            summary.textContent = hunks ? `${hunks} hunk${hunks === 1 ? '' : 's'}: +${added} −${removed} lines` : 'No changes';
+            body.appendChild(table);
+        }
+        if (text === original) summary.textContent = 'No changes';
+        revertAllButton.style.display = (readOnly || text === original) ? 'none' : '';
+    }
+
+    viewButton.addEventListener('click', () => {
+        view = view === 'split' ? 'inline' : 'split';
+        setDiffView(view);
+        render();
+    });
+    render();
+
+    const popup = new Popup(root, confirm ? POPUP_TYPE.CONFIRM : POPUP_TYPE.TEXT, '', {
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        okButton: confirm ? 'Send' : 'Done',
+        cancelButton: confirm ? 'Back to editor' : false,
+    });
+    const result = await popup.show();
+    return { confirmed: result === POPUP_RESULT.AFFIRMATIVE, text };
+}
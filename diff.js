@@ -0,0 +1,204 @@
+// diff.js - Prompt Inspector
+// Line and word diffs (Myers) used by the "Review changes" step.
+//
+// Everything here is DOM-free. Edits are reported as index ranges so callers
+// can diff any kind of sequence (lines, words, messages).
+//
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {{ type: 'equal' | 'delete' | 'insert', aStart: number, aEnd: number, bStart: number, bEnd: number }} DiffOp
+ * @typedef {{ aStart: number, aEnd: number, bStart: number, bEnd: number }} ChangeGroup
+ */
+
+// Past this many edits the middle part is reported as one replacement
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Middle snake of a[aLo..aHi) against b[bLo..bHi) (Myers' linear space variant):
+ * only the forward and backward frontiers are kept. Returns the snake's start
+ * and end as offsets into the range and the edit distance, or null past `limit`.
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi, limit) {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const max = Math.min(Math.ceil((n + m) / 2), limit);
+    const off = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[off + k - 1] < forward[off + k + 1])) ? forward[off + k + 1] : forward[off + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+            forward[off + k] = x;
+            const c = delta - k;
+            if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[off + c] >= n) {
+                return { x: x0, y: y0, u: x, v: y, d: 2 * d - 1 };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[off + k - 1] < backward[off + k + 1])) ? backward[off + k + 1] : backward[off + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { x++; y++; }
+            backward[off + k] = x;
+            const c = delta - k;
+            if (!odd && c >= -d && c <= d && x + forward[off + c] >= n) {
+                return { x: n - x, y: m - y, u: n - x0, v: m - y0, d: 2 * d };
+            }
+        }
+    }
+    return null;
+}
+
+/** Appends the single-step edits turning a[aLo..aHi) into b[bLo..bHi); false past `limit` edits */
+function myersSteps(a, aLo, aHi, b, bLo, bHi, steps, limit = Infinity) {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) { steps.push(['equal', aLo, bLo]); aLo++; bLo++; }
+    let tail = 0;
+    while (aHi - tail > aLo && bHi - tail > bLo && a[aHi - tail - 1] === b[bHi - tail - 1]) tail++;
+    aHi -= tail;
+    bHi -= tail;
+
+    if (aLo === aHi) {
+        for (let bi = bLo; bi < bHi; bi++) steps.push(['insert', aLo, bi]);
+    } else if (bLo === bHi) {
+        for (let ai = aLo; ai < aHi; ai++) steps.push(['delete', ai, bLo]);
+    } else {
+        const snake = middleSnake(a, aLo, aHi, b, bLo, bHi, limit);
+        if (!snake) return false;
+        myersSteps(a, aLo, aLo + snake.x, b, bLo, bLo + snake.y, steps);
+        for (let i = 0; i < snake.u - snake.x; i++) steps.push(['equal', aLo + snake.x + i, bLo + snake.y + i]);
+        myersSteps(a, aLo + snake.u, aHi, b, bLo + snake.v, bHi, steps);
+    }
+
+    for (let i = 0; i < tail; i++) steps.push(['equal', aHi + i, bHi + i]);
+    return true;
+}
+
+function myersMiddle(a, aLo, aHi, b, bLo, bHi) {
+    const steps = [];
+    return myersSteps(a, aLo, aHi, b, bLo, bHi, steps, Math.ceil(MAX_EDIT_DISTANCE / 2)) ? steps : null;
+}
+
+function pushOp(ops, type, aStart, aEnd, bStart, bEnd) {
+    if (aStart === aEnd && bStart === bEnd) return;
+    const last = ops[ops.length - 1];
+    if (last && last.type === type && last.aEnd === aStart && last.bEnd === bStart) {
+        last.aEnd = aEnd; last.bEnd = bEnd;
+        return;
+    }
+    ops.push({ type, aStart, aEnd, bStart, bEnd });
+}
+
+/**
+ * Diffs two sequences of primitives (compared with ===).
+ * @param {ArrayLike<any>} a Old sequence
+ * @param {ArrayLike<any>} b New sequence
+ * @returns {DiffOp[]}
+ */
+export function diffSequences(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = [];
+    pushOp(ops, 'equal', 0, start, 0, start);
+
+    const steps = myersMiddle(a, start, endA, b, start, endB);
+    if (steps) {
+        for (const [type, ai, bi] of steps) {
+            if (type === 'equal') pushOp(ops, 'equal', ai, ai + 1, bi, bi + 1);
+            else if (type === 'delete') pushOp(ops, 'delete', ai, ai + 1, bi, bi);
+            else pushOp(ops, 'insert', ai, ai, bi, bi + 1);
+        }
+    } else {
+        pushOp(ops, 'delete', start, endA, start, start);
+        pushOp(ops, 'insert', endA, endA, start, endB);
+    }
+
+    pushOp(ops, 'equal', endA, a.length, endB, b.length);
+    return ops;
+}
+
+/**
+ * Merges adjacent delete/insert runs into change groups.
+ * @param {DiffOp[]} ops
+ * @returns {ChangeGroup[]}
+ */
+export function groupChanges(ops) {
+    const groups = [];
+    let current = null;
+    for (const op of ops) {
+        if (op.type === 'equal') { current = null; continue; }
+        if (!current) {
+            current = { aStart: op.aStart, aEnd: op.aEnd, bStart: op.bStart, bEnd: op.bEnd };
+            groups.push(current);
+        } else {
+            current.aEnd = op.aEnd;
+            current.bEnd = op.bEnd;
+        }
+    }
+    return groups;
+}
+
+/**
+ * Line diff of two texts.
+ * @param {string} oldText
+ * @param {string} newText
+ */
+export function diffLines(oldText, newText) {
+    const oldLines = oldText === '' ? [] : oldText.split('\n');
+    const newLines = newText === '' ? [] : newText.split('\n');
+    const ops = diffSequences(oldLines, newLines);
+    return { oldLines, newLines, ops, groups: groupChanges(ops) };
+}
+
+const WORD_RE = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+/**
+ * Word diff of two lines.
+ * @param {string} oldLine
+ * @param {string} newLine
+ * @returns {{ old: { text: string, changed: boolean }[], new: { text: string, changed: boolean }[] }}
+ */
+export function diffWords(oldLine, newLine) {
+    const a = oldLine.match(WORD_RE) ?? [];
+    const b = newLine.match(WORD_RE) ?? [];
+    const result = { old: [], new: [] };
+    const push = (parts, text, changed) => {
+        const last = parts[parts.length - 1];
+        if (last && last.changed === changed) last.text += text;
+        else if (text) parts.push({ text, changed });
+    };
+    for (const op of diffSequences(a, b)) {
+        const oldText = a.slice(op.aStart, op.aEnd).join('');
+        const newText = b.slice(op.bStart, op.bEnd).join('');
+        push(result.old, oldText, op.type !== 'equal');
+        push(result.new, newText, op.type !== 'equal');
+    }
+    return result;
+}
+
+/**
+ * Reverts one change group: the new lines of the group are replaced with the old ones.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {ChangeGroup} group
+ * @returns {string} Resulting text
+ */
+export function revertGroup(oldLines, newLines, group) {
+    return [
+        ...newLines.slice(0, group.bStart),
+        ...oldLines.slice(group.aStart, group.aEnd),
+        ...newLines.slice(group.bEnd),
+    ].join('\n');
+}
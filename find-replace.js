@@ -0,0 +1,295 @@
+// find-replace.js - Prompt Inspector
+// Find/replace bar for the contenteditable editor.
+//
+// Case-sensitive, whole-word and regex search; every match is highlighted with the
+// CSS Custom Highlight API (no DOM changes, so caret and anchoring are unaffected).
+// In JSON mode the search can be limited to string values so keys and structure
+// can't be broken by a replace-all.
+//
+// -----------------------------------------------------------------------------
+
+import { debounce, escapeRegex } from '../../../utils.js';
+import { expandReplacement } from './rules.js';
+
+const MATCH_HIGHLIGHT = 'prompt-inspector-find';
+const CURRENT_HIGHLIGHT = 'prompt-inspector-find-current';
+const MAX_MATCHES = 10000;
+
+/**
+ * @typedef {object} EditorAdapter
+ * @property {HTMLElement} ce
+ * @property {() => string} getText Text as shown (current view)
+ * @property {(text: string) => void} setText Replaces the shown text and notifies listeners
+ * @property {(start: number, end: number) => void} setSelection
+ * @property {(start: number, end: number) => Range} rangeFromOffsets
+ * @property {(offset: number) => void} scrollToOffset Scrolls so the line at offset is fully visible
+ */
+
+const supportsHighlights = () => typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+
+/**
+ * Content ranges [start, end) of JSON string values (not keys), in either newline view.
+ * @param {string} text
+ * @returns {[number, number][]}
+ */
+export function jsonStringValueRanges(text) {
+    const ranges = [];
+    let i = 0;
+    while (i < text.length) {
+        if (text[i] !== '"') { i++; continue; }
+        const start = i + 1;
+        let j = start;
+        while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+        const end = Math.min(j, text.length);
+        let k = j + 1;
+        while (k < text.length && (text[k] === ' ' || text[k] === '\n' || text[k] === '\r' || text[k] === '\t')) k++;
+        if (text[k] !== ':') ranges.push([start, end]);
+        i = j + 1;
+    }
+    return ranges;
+}
+
+function insideRanges(ranges, start, end) {
+    // Last range starting at or before the match
+    let lo = 0;
+    let hi = ranges.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (ranges[mid][0] <= start) { found = mid; lo = mid + 1; }
+        else hi = mid - 1;
+    }
+    return found !== -1 && end <= ranges[found][1];
+}
+
+/**
+ * Finds matches in a text.
+ * @param {string} text
+ * @param {{ query: string, caseSensitive: boolean, wholeWord: boolean, regex: boolean, stringsOnly: boolean }} options
+ * @returns {{ matches: { start: number, end: number, groups: string[], named?: object }[], error: string | null }}
+ */
+export function findMatches(text, { query, caseSensitive, wholeWord, regex, stringsOnly }) {
+    if (!query) return { matches: [], error: null };
+    let re;
+    try {
+        // '-' needs no escape outside a character class, and \- is a syntax error with the u flag
+        let source = regex ? query : escapeRegex(query).replaceAll('\\-', '-');
+        let flags = caseSensitive ? 'g' : 'gi';
+        if (wholeWord) {
+            source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+            flags += 'u';
+        }
+        re = new RegExp(source, flags);
+    } catch (e) {
+        return { matches: [], error: e.message };
+    }
+
+    const ranges = stringsOnly ? jsonStringValueRanges(text) : null;
+    const matches = [];
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        if (m[0].length === 0) { re.lastIndex++; continue; }
+        const start = m.index;
+        const end = start + m[0].length;
+        if (ranges && !insideRanges(ranges, start, end)) continue;
+        matches.push({ start, end, groups: m.slice(1), named: m.groups });
+        if (matches.length >= MAX_MATCHES) break;
+    }
+    return { matches, error: null };
+}
+
+/**
+ * Creates the find/replace bar and inserts it before the editor.
+ * @param {EditorAdapter} editor
+ * @param {{ isJson: boolean, readOnly?: boolean }} options
+ * @returns {{ element: HTMLElement, open: (withReplace?: boolean) => void, close: () => void, refresh: () => void, destroy: () => void }}
+ */
+export function createFindReplaceBar(editor, { isJson, readOnly = false }) {
+    const bar = $(`
+        <div id="inspectPromptFindBar" class="flex-container flexFlowColumn" style="display:none;gap:4px;margin-bottom:6px;">
+            <div class="flex-container alignItemsCenter" style="gap:4px;">
+                <input data-find="query" type="search" class="text_pole flex1 monospace" placeholder="Find" style="margin:0;">
+                <div data-toggle="caseSensitive" class="menu_button menu_button_icon" title="Match case" aria-pressed="false"><b>Aa</b></div>
+                <div data-toggle="wholeWord" class="menu_button menu_button_icon" title="Whole word" aria-pressed="false"><b>W</b></div>
+                <div data-toggle="regex" class="menu_button menu_button_icon" title="Regular expression" aria-pressed="false"><b>.*</b></div>
+                <div data-toggle="stringsOnly" class="menu_button menu_button_icon" title="Search only inside JSON string values" aria-pressed="false"><b>"…"</b></div>
+                <small data-find="count" style="min-width:5em;text-align:center;"></small>
+                <div data-action="prev" class="menu_button menu_button_icon fa-solid fa-chevron-up" title="Previous match (Shift+Enter)"></div>
+                <div data-action="next" class="menu_button menu_button_icon fa-solid fa-chevron-down" title="Next match (Enter)"></div>
+                <div data-action="close" class="menu_button menu_button_icon fa-solid fa-xmark" title="Close (Esc)"></div>
+            </div>
+            <div data-find="replaceRow" class="flex-container alignItemsCenter" style="gap:4px;">
+                <input data-find="replacement" type="text" class="text_pole flex1 monospace" placeholder="Replace with" style="margin:0;">
+                <div data-action="replace" class="menu_button" title="Replace the current match">Replace</div>
+                <div data-action="replaceAll" class="menu_button" title="Replace all matches">Replace all</div>
+            </div>
+        </div>
+    `);
+
+    const options = { caseSensitive: false, wholeWord: false, regex: false, stringsOnly: isJson };
+    let matches = [];
+    let current = -1;
+    let open = false;
+
+    const $query = bar.find('[data-find="query"]');
+    const $replacement = bar.find('[data-find="replacement"]');
+    const $count = bar.find('[data-find="count"]');
+    if (!isJson) bar.find('[data-toggle="stringsOnly"]').hide();
+
+    function syncToggles() {
+        bar.find('[data-toggle]').each((_, el) => {
+            const on = !!options[el.dataset.toggle];
+            el.setAttribute('aria-pressed', String(on));
+            el.classList.toggle('active', on);
+            el.style.opacity = on ? '1' : '0.55';
+        });
+    }
+
+    function paint() {
+        if (!supportsHighlights()) return;
+        CSS.highlights.delete(MATCH_HIGHLIGHT);
+        CSS.highlights.delete(CURRENT_HIGHLIGHT);
+        if (!open || !matches.length) return;
+        const all = new Highlight();
+        for (const m of matches) all.add(editor.rangeFromOffsets(m.start, m.end));
+        CSS.highlights.set(MATCH_HIGHLIGHT, all);
+        if (current >= 0) {
+            const cur = new Highlight(editor.rangeFromOffsets(matches[current].start, matches[current].end));
+            cur.priority = 1;
+            CSS.highlights.set(CURRENT_HIGHLIGHT, cur);
+        }
+    }
+
+    function updateCount(error) {
+        if (error) {
+            $count.text('Invalid').attr('title', error).css('color', 'var(--warning, #e0a030)');
+            return;
+        }
+        $count.attr('title', '').css('color', '');
+        if (!$query.val()) $count.text('');
+        else if (!matches.length) $count.text('No results');
+        else $count.text(`${current + 1} / ${matches.length}${matches.length >= MAX_MATCHES ? '+' : ''}`);
+    }
+
+    function search(keepNear = null) {
+        const text = editor.getText();
+        const result = findMatches(text, { query: String($query.val() ?? ''), ...options });
+        matches = result.matches;
+        if (!matches.length) current = -1;
+        else {
+            const anchor = keepNear ?? (current >= 0 && matches[current] ? matches[current].start : 0);
+            current = matches.findIndex(m => m.start >= anchor);
+            if (current === -1) current = 0;
+        }
+        paint();
+        updateCount(result.error);
+    }
+
+    function reveal() {
+        if (current < 0) return;
+        const m = matches[current];
+        editor.scrollToOffset(m.start);
+        editor.setSelection(m.start, m.end);
+        paint();
+        updateCount(null);
+    }
+
+    function step(delta) {
+        if (!matches.length) return;
+        current = (current + delta + matches.length) % matches.length;
+        reveal();
+    }
+
+    function replacementFor(m, text) {
+        const template = String($replacement.val() ?? '');
+        if (!options.regex) return template;
+        return expandReplacement(template, text.slice(m.start, m.end), m.groups, m.start, text, m.named);
+    }
+
+    function replaceCurrent() {
+        if (current < 0) return;
+        const m = matches[current];
+        const text = editor.getText();
+        const replacement = replacementFor(m, text);
+        editor.setText(text.slice(0, m.start) + replacement + text.slice(m.end));
+        search(m.start + replacement.length);
+        reveal();
+    }
+
+    function replaceAll() {
+        if (!matches.length) return;
+        const text = editor.getText();
+        let out = '';
+        let last = 0;
+        for (const m of matches) {
+            out += text.slice(last, m.start) + replacementFor(m, text);
+            last = m.end;
+        }
+        out += text.slice(last);
+        const count = matches.length;
+        editor.setText(out);
+        search();
+        toastr.info(`Replaced ${count} match${count === 1 ? '' : 'es'}`);
+    }
+
+    function openBar(withReplace = true) {
+        open = true;
+        bar.show();
+        bar.find('[data-find="replaceRow"]').toggle(withReplace && !readOnly);
+        const sel = window.getSelection()?.toString();
+        if (sel && !sel.includes('\n')) $query.val(sel);
+        $query.trigger('focus').trigger('select');
+        search();
+    }
+
+    function close() {
+        open = false;
+        bar.hide();
+        paint();
+        editor.ce.focus();
+    }
+
+    bar.on('click', '[data-toggle]', (e) => {
+        const key = e.currentTarget.dataset.toggle;
+        options[key] = !options[key];
+        syncToggles();
+        search();
+    });
+    bar.on('click', '[data-action]', (e) => {
+        switch (e.currentTarget.dataset.action) {
+            case 'prev': step(-1); break;
+            case 'next': step(1); break;
+            case 'close': close(); break;
+            case 'replace': replaceCurrent(); break;
+            case 'replaceAll': replaceAll(); break;
+        }
+    });
+    $query.on('input', () => search());
+    bar.on('keydown', (e) => {
+        if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); close(); return; }
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        if (e.target === $replacement.get(0)) replaceCurrent();
+        else step(e.shiftKey ? -1 : 1);
+    });
+
+    editor.ce.addEventListener('keydown', (e) => {
+        const mod = e.ctrlKey || e.metaKey;
+        if (mod && (e.key === 'f' || e.key === 'F')) { e.preventDefault(); openBar(false); }
+        else if (mod && (e.key === 'h' || e.key === 'H')) { e.preventDefault(); openBar(true); }
+        else if (e.key === 'F3' && open) { e.preventDefault(); step(e.shiftKey ? -1 : 1); }
+        else if (e.key === 'Escape' && open) { e.preventDefault(); e.stopPropagation(); close(); }
+    });
+    editor.ce.addEventListener('input', debounce(() => { if (open) search(); }, 200));
+
+    syncToggles();
+    $(editor.ce).before(bar);
+
+    return {
+        element: bar.get(0),
+        open: openBar,
+        close,
+        refresh: () => { if (open) search(); },
+        destroy: () => { open = false; paint(); },
+    };
+}
@@ -0,0 +1,216 @@
+// highlight.js - Prompt Inspector
+// Syntax highlighting for the editor.
+//
+// JSON mode: keys, strings, roles, numbers, literals and punctuation.
+// Text completion mode: instruct sequences, unexpanded {{macros}} and example separators.
+// Optionally, invisible characters (tabs, CR, trailing spaces, non-breaking and
+// zero-width spaces) get a class whose CSS glyph is drawn as pseudo content, so
+// it never becomes part of the text.
+//
+// Tokenizers return non-overlapping { start, end, cls } spans; the renderer turns
+// them into a fragment of text nodes and <span>s whose textContent equals the input.
+//
+// -----------------------------------------------------------------------------
+
+import { escapeRegex } from '../../../utils.js';
+import { getContextMarkers, getInstructMarkers } from './templates.js';
+
+/** Longer texts are rendered without highlighting to keep the editor responsive */
+export const HIGHLIGHT_MAX_LENGTH = 250_000;
+
+const PREFIX = 'prompt-inspector-hl-';
+const KNOWN_ROLES = new Set(['system', 'user', 'assistant', 'tool']);
+
+function isWs(ch) {
+    return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+}
+
+/**
+ * Tokenizes JSON (raw or with real line breaks inside strings). Never throws on invalid input.
+ * @param {string} text
+ * @returns {{ start: number, end: number, cls: string }[]}
+ */
+export function tokenizeJson(text) {
+    const tokens = [];
+    let lastKey = null;
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (isWs(ch)) { i++; continue; }
+
+        if (ch === '"') {
+            const start = i;
+            i++;
+            while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+            i = Math.min(i + 1, text.length);
+            let k = i;
+            while (k < text.length && isWs(text[k])) k++;
+            if (text[k] === ':') {
+                lastKey = text.slice(start + 1, i - 1);
+                tokens.push({ start, end: i, cls: 'key' });
+            } else if (lastKey === 'role') {
+                const role = text.slice(start + 1, i - 1);
+                tokens.push({ start, end: i, cls: KNOWN_ROLES.has(role) ? `role ${PREFIX}role-${role}` : 'role' });
+            } else {
+                tokens.push({ start, end: i, cls: 'string' });
+            }
+            continue;
+        }
+
+        if (ch === '{' || ch === '}' || ch === '[' || ch === ']' || ch === ',' || ch === ':') {
+            if (ch !== ':') lastKey = null;
+            tokens.push({ start: i, end: i + 1, cls: 'punct' });
+            i++;
+            continue;
+        }
+
+        if (ch === '-' || (ch >= '0' && ch <= '9')) {
+            const start = i;
+            i++;
+            while (i < text.length && /[0-9eE+\-.]/.test(text[i])) i++;
+            tokens.push({ start, end: i, cls: 'number' });
+            continue;
+        }
+
+        const literal = /^(true|false|null)/.exec(text.slice(i, i + 5));
+        if (literal) {
+            tokens.push({ start: i, end: i + literal[1].length, cls: 'literal' });
+            i += literal[1].length;
+            continue;
+        }
+
+        i++;
+    }
+    return tokens;
+}
+
+/**
+ * Markers of the active instruct/context templates, with {{user}}/{{char}} resolved.
+ * @returns {{ sequences: string[], separators: string[] }}
+ */
+export function getTextCompletionMarkers() {
+    const instruct = getInstructMarkers();
+    const { exampleSeparator, chatStart } = getContextMarkers();
+    return {
+        sequences: [...instruct.roles.map(r => r.marker), ...instruct.suffixes, ...instruct.other],
+        separators: [exampleSeparator, chatStart].filter(Boolean),
+    };
+}
+
+/**
+ * Tokenizes a text completion prompt.
+ * @param {string} text
+ * @param {{ sequences: string[], separators: string[] }} markers
+ * @returns {{ start: number, end: number, cls: string }[]}
+ */
+export function tokenizeTextCompletion(text, { sequences, separators }) {
+    const alternation = (list) => [...new Set(list)]
+        .filter(s => s.length >= 2)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex)
+        .join('|');
+
+    const parts = ['(\\{\\{[^{}\\n]*\\}\\})'];
+    const separatorAlt = alternation(separators);
+    const sequenceAlt = alternation(sequences);
+    // Empty alternatives keep a group that never matches, so the group numbers stay fixed
+    parts.push(separatorAlt ? `(${separatorAlt})` : '((?!))');
+    parts.push(sequenceAlt ? `(${sequenceAlt})` : '((?!))');
+    const re = new RegExp(parts.join('|'), 'g');
+
+    const tokens = [];
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        if (m[0].length === 0) { re.lastIndex++; continue; }
+        const cls = m[1] !== undefined ? 'macro' : m[2] !== undefined ? 'separator' : 'sequence';
+        tokens.push({ start: m.index, end: m.index + m[0].length, cls });
+    }
+    return tokens;
+}
+
+const WS_PREFIX = 'prompt-inspector-ws';
+const WHITESPACE_RE = /[ \t\u00a0]+(?=\r?\n|$)|[\t\r\u00a0\u2000-\u200d\u202f\u2060\u3000\ufeff\u00ad]/g;
+
+function whitespaceKind(ch, trailing) {
+    if (ch === '\t') return 'tab';
+    if (ch === '\r') return 'cr';
+    if (ch === ' ') return 'trailing';
+    if (/[\u200b-\u200d\u2060\ufeff\u00ad]/.test(ch)) return 'zw';
+    return trailing ? 'trailing nbsp' : 'nbsp';
+}
+
+/**
+ * One mark per invisible character: tabs, CR, spaces at line ends,
+ * non-breaking/unusual spaces and zero-width characters.
+ * @param {string} text
+ * @returns {{ start: number, end: number, kind: string }[]}
+ */
+export function findWhitespaceMarks(text) {
+    const marks = [];
+    WHITESPACE_RE.lastIndex = 0;
+    let m;
+    while ((m = WHITESPACE_RE.exec(text)) !== null) {
+        const end = m.index + m[0].length;
+        const trailing = /^[ \t\u00a0]+$/.test(m[0]) && /^(?:\r?\n|$)/.test(text.slice(end, end + 2));
+        for (let i = 0; i < m[0].length; i++) {
+            marks.push({ start: m.index + i, end: m.index + i + 1, kind: whitespaceKind(m[0][i], trailing) });
+        }
+    }
+    return marks;
+}
+
+/**
+ * Builds the editor content for a text and its tokens.
+ * @param {string} text
+ * @param {{ start: number, end: number, cls: string }[]} tokens
+ * @param {{ start: number, end: number, kind: string }[]} [marks] Whitespace marks
+ * @returns {DocumentFragment}
+ */
+export function renderHighlighted(text, tokens, marks = []) {
+    let m = 0;
+    // Appends text[start, end) to parent, wrapping marked characters
+    const appendText = (parent, start, end) => {
+        let pos = start;
+        while (m < marks.length && marks[m].start < end) {
+            const mark = marks[m++];
+            if (mark.start < pos) continue;
+            if (mark.start > pos) parent.appendChild(document.createTextNode(text.slice(pos, mark.start)));
+            const span = document.createElement('span');
+            span.className = `${WS_PREFIX} ${mark.kind.split(' ').map(k => `${WS_PREFIX}-${k}`).join(' ')}`;
+            span.textContent = text.slice(mark.start, mark.end);
+            parent.appendChild(span);
+            pos = mark.end;
+        }
+        if (end > pos) parent.appendChild(document.createTextNode(text.slice(pos, end)));
+    };
+
+    const fragment = document.createDocumentFragment();
+    let pos = 0;
+    for (const token of tokens) {
+        if (token.start > pos) appendText(fragment, pos, token.start);
+        const span = document.createElement('span');
+        span.className = token.cls.split(' ').map(c => c.startsWith(PREFIX) ? c : PREFIX + c).join(' ');
+        appendText(span, token.start, token.end);
+        fragment.appendChild(span);
+        pos = token.end;
+    }
+    if (pos < text.length) appendText(fragment, pos, text.length);
+    if (!fragment.firstChild) fragment.appendChild(document.createTextNode(''));
+    return fragment;
+}
+
+/**
+ * Highlighter for the editor, or null when highlighting doesn't apply.
+ * @param {boolean} isJson
+ * @param {{ syntax?: boolean, whitespace?: boolean }} [options]
+ * @returns {(text: string) => DocumentFragment | null}
+ */
+export function createHighlighter(isJson, { syntax = true, whitespace = false } = {}) {
+    const markers = syntax && !isJson ? getTextCompletionMarkers() : null;
+    return (text) => {
+        if (text.length > HIGHLIGHT_MAX_LENGTH) return null;
+        let tokens = [];
+        if (syntax) tokens = isJson ? tokenizeJson(text) : tokenizeTextCompletion(text, markers);
+        return renderHighlighted(text, tokens, whitespace ? findWhitespaceMarks(text) : []);
+    };
+}
@@ -0,0 +1,359 @@
+// history.js - Prompt Inspector
+// Persistent history of inspected prompts (IndexedDB) and the history browser popup.
+//
+// Each entry keeps the original and the final prompt, the API, the model, the
+// character/group and chat, the time and the outcome of the inspection.
+// Recording is off until it is turned on in the browser. The list is read with
+// a cursor and only keeps summaries; the prompts of an entry are loaded when it
+// is shown.
+//
+// -----------------------------------------------------------------------------
+
+import { POPUP_RESULT, POPUP_TYPE, Popup, callGenericPopup } from '../../../popup.js';
+import { debounce, download } from '../../../utils.js';
+import { jsonStringsDisplayNewlines } from './json-newlines.js';
+
+const DB_NAME = 'PromptInspectorHistory';
+const STORE = 'entries';
+const DEFAULT_LIMIT = 500;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} [id]
+ * @property {number} timestamp
+ * @property {string} api main_api at the time of the generation
+ * @property {string} model
+ * @property {boolean} chatCompletion Whether the prompts are JSON message arrays
+ * @property {string} character Character or group name
+ * @property {string} chatId
+ * @property {string} generationType
+ * @property {string} original
+ * @property {string} final
+ * @property {'edited' | 'unchanged' | 'discarded' | 'cancelled'} outcome
+ */
+
+/**
+ * Entry without its prompts, for the list.
+ * @typedef {Omit<HistoryEntry, 'original' | 'final'> & { size: number }} HistorySummary
+ */
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => { dbPromise = null; reject(request.error); };
+    });
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+}
+
+// Prompts are only stored once the user asks for it
+export function getHistoryEnabled() {
+    return localStorage.getItem('promptInspectorHistoryEnabled') === 'true';
+}
+export function setHistoryEnabled(v) {
+    localStorage.setItem('promptInspectorHistoryEnabled', String(v));
+}
+function getHistoryLimit() {
+    const v = Number(localStorage.getItem('promptInspectorHistoryLimit'));
+    return Number.isInteger(v) && v > 0 ? v : DEFAULT_LIMIT;
+}
+
+/**
+ * Stores an entry and prunes the oldest ones past the limit.
+ * @param {HistoryEntry} entry
+ * @returns {Promise<number>} Entry id
+ */
+export async function addHistoryEntry(entry) {
+    const limit = getHistoryLimit();
+    return withStore('readwrite', async (store) => {
+        const id = await requestToPromise(store.add(entry));
+        const count = await requestToPromise(store.count());
+        let excess = count - limit;
+        if (excess > 0) {
+            const cursorRequest = store.index('timestamp').openCursor();
+            await new Promise((resolve, reject) => {
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) return resolve();
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        }
+        return id;
+    });
+}
+
+function summarize(entry) {
+    const { original: _original, final, ...summary } = entry;
+    return { ...summary, size: final?.length ?? 0 };
+}
+
+function matchesQuery(entry, q) {
+    return [entry.character, entry.api, entry.model, entry.generationType, entry.outcome, entry.final, entry.original]
+        .some((field) => String(field ?? '').toLowerCase().includes(q));
+}
+
+/**
+ * Lists entries, newest first, without their prompts. Entries are walked with a cursor, so only one
+ * prompt is held at a time.
+ * @param {string} [query] Case-insensitive text to look for in the prompts, character, API or model
+ * @returns {Promise<HistorySummary[]>}
+ */
+export async function getHistoryEntries(query = '') {
+    const q = query.trim().toLowerCase();
+    return withStore('readonly', (store) => new Promise((resolve, reject) => {
+        const summaries = [];
+        const cursorRequest = store.index('timestamp').openCursor(null, 'prev');
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return resolve(summaries);
+            if (!q || matchesQuery(cursor.value, q)) summaries.push(summarize(cursor.value));
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    }));
+}
+
+/**
+ * Full entries, with their prompts.
+ * @param {number[]} ids
+ * @returns {Promise<HistoryEntry[]>} Entries that still exist, in the order of the ids
+ */
+export async function getFullHistoryEntries(ids) {
+    const entries = await withStore('readonly', (store) => Promise.all(ids.map((id) => requestToPromise(store.get(id)))));
+    return entries.filter(Boolean);
+}
+
+export async function deleteHistoryEntry(id) {
+    return withStore('readwrite', (store) => requestToPromise(store.delete(id)));
+}
+
+export async function clearHistory() {
+    return withStore('readwrite', (store) => requestToPromise(store.clear()));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Export
+// ───────────────────────────────────────────────────────────────────────────────
+function fileStamp(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[:.]/g, '-');
+}
+
+function exportEntryPrompt(entry) {
+    const ext = entry.chatCompletion ? 'json' : 'txt';
+    download(entry.final, `prompt-${fileStamp(entry.timestamp)}.${ext}`, entry.chatCompletion ? 'application/json' : 'text/plain');
+}
+
+function exportEntries(entries) {
+    const name = entries.length === 1 ? `prompt-history-${fileStamp(entries[0].timestamp)}.json` : `prompt-history-${fileStamp(Date.now())}.json`;
+    download(JSON.stringify(entries, null, 4), name, 'application/json');
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Browser UI
+// ───────────────────────────────────────────────────────────────────────────────
+const OUTCOME_LABELS = { edited: 'Edited', unchanged: 'Unchanged', discarded: 'Discarded', cancelled: 'Cancelled' };
+
+function formatSize(n) {
+    return n >= 1024 ? `${(n / 1024).toFixed(1)} KB` : `${n} chars`;
+}
+
+/**
+ * Opens the history browser.
+ * @param {object} options
+ * @param {(entry: HistoryEntry, text: string) => Promise<void>} options.openInEditor Re-opens a prompt in the inspector
+ */
+export async function showHistoryBrowser({ openInEditor }) {
+    const root = $(`
+        <div class="flex-container flexFlowColumn height100p" style="text-align:left;">
+            <h3>Prompt history</h3>
+            <div class="flex-container alignItemsCenter">
+                <input id="promptHistorySearch" type="search" class="text_pole flex1" placeholder="Search prompts, characters, APIs…">
+                <label class="checkbox_label" title="Store every inspected prompt in this browser (off by default)">
+                    <input id="promptHistoryEnabled" type="checkbox" ${getHistoryEnabled() ? 'checked' : ''}>
+                    <small>Record</small>
+                </label>
+                <div id="promptHistoryExportAll" class="menu_button menu_button_icon" title="Export the listed entries as one JSON file">
+                    <i class="fa-solid fa-file-export"></i><span>Export list</span>
+                </div>
+                <div id="promptHistoryClear" class="menu_button menu_button_icon" title="Delete all entries">
+                    <i class="fa-solid fa-trash-can"></i><span>Clear</span>
+                </div>
+            </div>
+            <div class="flex-container flex1" style="min-height:0;gap:8px;">
+                <div id="promptHistoryList" style="flex:0 0 35%;overflow:auto;"></div>
+                <div id="promptHistoryView" class="flex-container flexFlowColumn flex1" style="min-width:0;"></div>
+            </div>
+        </div>
+    `);
+
+    let entries = [];
+    let selectedId = null;
+
+    const $list = root.find('#promptHistoryList');
+    const $view = root.find('#promptHistoryView');
+
+    async function refresh() {
+        try {
+            entries = await getHistoryEntries(String(root.find('#promptHistorySearch').val() ?? ''));
+        } catch (e) {
+            console.error('Prompt Inspector: Could not read the history', e);
+            toastr.error('Could not read the prompt history');
+            entries = [];
+        }
+        $list.empty();
+        if (!entries.length) {
+            $list.append($('<div style="opacity:0.7;padding:8px;">').text('No entries'));
+        }
+        for (const entry of entries) {
+            const item = $(`
+                <div class="prompt-inspector-history-item" tabindex="0">
+                    <div class="flex-container justifySpaceBetween"><b class="history-character"></b><small class="history-outcome"></small></div>
+                    <small class="history-meta"></small>
+                </div>
+            `);
+            item.find('.history-character').text(entry.character || '(no character)');
+            item.find('.history-outcome').text(OUTCOME_LABELS[entry.outcome] ?? entry.outcome);
+            item.find('.history-meta').text(`${new Date(entry.timestamp).toLocaleString()} · ${entry.api}${entry.model ? ` / ${entry.model}` : ''} · ${formatSize(entry.size)}`);
+            item.toggleClass('selected', entry.id === selectedId);
+            item.on('click keydown', async (e) => {
+                if (e.type === 'keydown' && e.key !== 'Enter') return;
+                selectedId = entry.id;
+                $list.children().removeClass('selected');
+                item.addClass('selected');
+                const [full] = await getFullHistoryEntries([entry.id]);
+                if (full && selectedId === entry.id) showEntry(full);
+            });
+            $list.append(item);
+        }
+        if (!entries.some((e) => e.id === selectedId)) {
+            selectedId = null;
+            $view.empty().append($('<div style="opacity:0.7;margin:auto;">').text('Select an entry'));
+        }
+    }
+
+    function showEntry(entry) {
+        let which = 'final';
+        let showNewlines = localStorage.getItem('promptInspectorShowNewlines') !== 'false';
+        $view.empty();
+
+        const toolbar = $(`
+            <div class="flex-container alignItemsCenter">
+                <select class="text_pole" style="width:auto;margin:0;">
+                    <option value="final">Final prompt</option>
+                    <option value="original">Original prompt</option>
+                </select>
+                <div data-action="newlines" class="menu_button menu_button_icon" title="Toggle between raw (\\n) and real line breaks"><i class="fa-solid fa-eye"></i><span>Line breaks</span></div>
+                <div data-action="open" class="menu_button menu_button_icon" title="Open this prompt in the inspector"><i class="fa-solid fa-pen-to-square"></i><span>Open in editor</span></div>
+                <div data-action="file" class="menu_button menu_button_icon" title="Download the prompt as a file"><i class="fa-solid fa-download"></i><span>Prompt</span></div>
+                <div data-action="export" class="menu_button menu_button_icon" title="Export the whole entry as JSON"><i class="fa-solid fa-file-export"></i><span>Entry</span></div>
+                <div data-action="delete" class="menu_button menu_button_icon" title="Delete this entry"><i class="fa-solid fa-trash-can"></i></div>
+            </div>
+        `);
+        const details = $('<small style="opacity:0.8;">').text([
+            new Date(entry.timestamp).toLocaleString(),
+            entry.character && `Character: ${entry.character}`,
+            entry.chatId && `Chat: ${entry.chatId}`,
+            `API: ${entry.api}${entry.model ? ` / ${entry.model}` : ''}`,
+            entry.generationType && `Type: ${entry.generationType}`,
+            `Outcome: ${OUTCOME_LABELS[entry.outcome] ?? entry.outcome}`,
+        ].filter(Boolean).join(' · '));
+        const pre = $('<pre class="monospace flex1" style="white-space:pre-wrap;word-break:break-word;overflow:auto;margin:0;text-align:left;"></pre>');
+
+        const renderText = () => {
+            const text = entry[which] ?? '';
+            pre.text(entry.chatCompletion && showNewlines ? jsonStringsDisplayNewlines(text) : text);
+            toolbar.find('[data-action="newlines"]').toggle(!!entry.chatCompletion);
+            toolbar.find('[data-action="newlines"] i').attr('class', showNewlines ? 'fa-solid fa-eye-slash' : 'fa-solid fa-eye');
+        };
+
+        toolbar.find('select').on('change', (e) => { which = String($(e.target).val()); renderText(); });
+        toolbar.on('click', '[data-action]', async (e) => {
+            switch ($(e.currentTarget).data('action')) {
+                case 'newlines':
+                    showNewlines = !showNewlines;
+                    renderText();
+                    break;
+                case 'open':
+                    await openInEditor(entry, entry[which]);
+                    await refresh();
+                    break;
+                case 'file':
+                    exportEntryPrompt({ ...entry, final: entry[which] });
+                    break;
+                case 'export':
+                    exportEntries([entry]);
+                    break;
+                case 'delete':
+                    try {
+                        await deleteHistoryEntry(entry.id);
+                    } catch (e) {
+                        console.error('Prompt Inspector: Could not delete the history entry', e);
+                        toastr.error('Could not delete the prompt history entry');
+                        break;
+                    }
+                    await refresh();
+                    break;
+            }
+        });
+
+        $view.append(toolbar, details, pre);
+        renderText();
+    }
+
+    root.find('#promptHistorySearch').on('input', debounce(refresh, 300));
+    root.find('#promptHistoryEnabled').on('change', (e) => setHistoryEnabled(e.target.checked));
+    root.find('#promptHistoryExportAll').on('click', async () => {
+        if (!entries.length) return toastr.info('Nothing to export');
+        exportEntries(await getFullHistoryEntries(entries.map((e) => e.id)));
+    });
+    root.find('#promptHistoryClear').on('click', async () => {
+        const confirm = await callGenericPopup('Delete all prompt history entries?', POPUP_TYPE.CONFIRM);
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) return;
+        try {
+            await clearHistory();
+        } catch (e) {
+            console.error('Prompt Inspector: Could not clear the history', e);
+            toastr.error('Could not clear the prompt history');
+            return;
+        }
+        await refresh();
+    });
+
+    await refresh();
+    const popup = new Popup(root, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close' });
+    await popup.show();
+}
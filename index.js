@@ -1,19 +1,41 @@
 // index.js - Prompt Inspector
-// ContentEditable + First FULLY Visible Line + Anchor (ignore newlines)
+// ContentEditable + First FULLY Visible Line + exact raw/friendly offset mapping
 //
 // New in this build:
 // - We strictly use the **first fully visible line** (not a 1‑px sliver).
 // - We sample down the content box until a line's rect is entirely within the viewport.
 // - Scrolling aligns that line’s TOP to the contentTop and verifies the whole line is visible.
-// - Anchor still ignores real newlines and literal "\n" so the same first characters persist.
+// - The toggle maps the top line and the selection through the segment map of the transform.
 // - JSON-string-aware transforms preserved; edits in both modes; correct save behavior.
+// - Long prompts are rendered in blocks the browser only lays out when in view.
 //
 // -----------------------------------------------------------------------------
 
-import { eventSource, event_types, main_api, stopGeneration } from '../../../../script.js';
-import { renderExtensionTemplateAsync } from '../../../extensions.js';
-import { POPUP_RESULT, POPUP_TYPE, Popup } from '../../../popup.js';
+import { eventSource, event_types, getGeneratingModel, main_api, stopGeneration, updateMessageBlock } from '../../../../script.js';
+import { getContext, renderExtensionTemplateAsync } from '../../../extensions.js';
+import { POPUP_RESULT, POPUP_TYPE, Popup, callGenericPopup } from '../../../popup.js';
 import { t } from '../../../i18n.js';
+import { debounce } from '../../../utils.js';
+import { createChatCardEditor } from './chat-editor.js';
+import { createMediaStore } from './media.js';
+import { offsetToLineColumn, validateChatPrompt } from './json-validation.js';
+import { countPromptTokens, describeTokenTotal } from './token-counter.js';
+import { decodeJsonStrings, encodeJsonStrings, isLikelyJson } from './json-newlines.js';
+import { showDiffReview } from './diff-review.js';
+import { addHistoryEntry, getHistoryEnabled, showHistoryBrowser } from './history.js';
+import { applyRulesToChat, applyRulesToText, hasActiveRules, loadRules, showRulesManager } from './rules.js';
+import { createFindReplaceBar } from './find-replace.js';
+import { createOutlinePanel, getOutlineMarkers } from './outline.js';
+import { createTextBlockEditor } from './text-blocks.js';
+import { HIGHLIGHT_MAX_LENGTH, createHighlighter } from './highlight.js';
+import { createUndoHistory } from './undo-history.js';
+import { describeFilters, getInspectMode, loadFilters, matchesFilters, setInspectMode, showFiltersManager } from './inspect-mode.js';
+import { registerSlashCommands } from './slash-commands.js';
+import { PIN_GENERATION_TYPES, addPinIndicator, applyPin, clearPin, getPin, getPinModeDefault, setPin } from './prompt-pin.js';
+import { initMonitor, isMonitorOpen, recordPrompt, refreshMonitor, toggleMonitor } from './monitor.js';
+import { comparePrompts, describePrefix, estimateSharedTokens, getCacheLog, getPreviousRequest, logPrefix, rememberRequest, setCacheLog } from './cache-prefix.js';
+import { clearRawResponse, getInspectResponses, installResponseCapture, setInspectResponses, takeRawResponse, unescapeSequences } from './response-inspect.js';
+import { CHAT_FORMATS, TEXT_FORMATS, detectFormat, downloadPrompt, importPrompts, pickTextFile } from './prompt-files.js';
 
 const path = 'third-party/PromptInspector-VisibleLineBreaks';
 
@@ -26,98 +48,6 @@ function isChatCompletion() {
     return main_api === 'openai';
 }
 
-function isLikelyJson(s) {
-    if (!s || typeof s !== 'string') return false;
-    const t = s.trim();
-    return t.startsWith('{') || t.startsWith('[');
-}
-
-// ───────────────────────────────────────────────────────────────────────────────
-// Newline transforms (inside quoted JSON strings only)
-// ───────────────────────────────────────────────────────────────────────────────
-function jsonStringsDisplayNewlines(src) {
-    if (!isLikelyJson(src)) return src;
-
-    let out = '';
-    let inStr = false;
-    let backslashCount = 0;
-
-    for (let i = 0; i < src.length; i++) {
-        const ch = src[i];
-
-        if (inStr) {
-            if (ch === '\\') { backslashCount++; continue; }
-
-            if (ch === '"') {
-                const escapedQuote = (backslashCount % 2) === 1;
-                out += '\\'.repeat(backslashCount) + '"';
-                backslashCount = 0;
-                if (!escapedQuote) inStr = false;
-                continue;
-            }
-
-            if (ch === 'n' && backslashCount > 0) {
-                if (backslashCount > 1) out += '\\'.repeat(backslashCount - 1);
-                out += '\n';
-                backslashCount = 0;
-                continue;
-            }
-
-            out += '\\'.repeat(backslashCount) + ch;
-            backslashCount = 0;
-            continue;
-        }
-
-        if (ch === '"') inStr = true;
-        out += ch;
-    }
-
-    if (backslashCount > 0) out += '\\'.repeat(backslashCount);
-    return out;
-}
-
-function jsonStringsSaveNewlines(src) {
-    if (!isLikelyJson(src)) return src;
-
-    let out = '';
-    let inStr = false;
-    let backslashCount = 0;
-
-    for (let i = 0; i < src.length; i++) {
-        const ch = src[i];
-
-        if (inStr) {
-            if (ch === '\\') { backslashCount++; continue; }
-
-            if (ch === '"') {
-                const escapedQuote = (backslashCount % 2) === 1;
-                out += '\\'.repeat(backslashCount) + '"';
-                backslashCount = 0;
-                if (!escapedQuote) inStr = false;
-                continue;
-            }
-
-            if (ch === '\r') { continue; }
-
-            if (ch === '\n') {
-                out += '\\'.repeat(backslashCount) + '\\n';
-                backslashCount = 0;
-                continue;
-            }
-
-            out += '\\'.repeat(backslashCount) + ch;
-            backslashCount = 0;
-            continue;
-        }
-
-        if (ch === '"') inStr = true;
-        out += ch;
-    }
-
-    if (backslashCount > 0) out += '\\'.repeat(backslashCount);
-    return out;
-}
-
 // ───────────────────────────────────────────────────────────────────────────────
 // ContentEditable utilities
 // ───────────────────────────────────────────────────────────────────────────────
@@ -150,53 +80,193 @@ function buildContentEditableFromTextarea($textarea) {
     return ce;
 }
 
+// The editor may hold several text nodes (highlighting spans, browser edits).
+// Offsets below are always global character offsets into ce.textContent.
+const highlighters = new WeakMap();
+
+function ceSetHighlighter(ce, highlighter) {
+    if (highlighter) highlighters.set(ce, highlighter);
+    else highlighters.delete(ce);
+}
+
+// Text node + local offset for a global offset
+function ceLocate(ce, offset) {
+    const walker = document.createTreeWalker(ce, NodeFilter.SHOW_TEXT);
+    let pos = 0;
+    let last = null;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const len = node.nodeValue.length;
+        // At a node boundary prefer the start of the next node (caret rects after '\n')
+        if (offset < pos + len) return { node, offset: Math.max(0, offset - pos) };
+        pos += len;
+        last = node;
+    }
+    if (last) return { node: last, offset: last.nodeValue.length };
+    const empty = document.createTextNode('');
+    ce.appendChild(empty);
+    return { node: empty, offset: 0 };
+}
+
+// Global offset for a DOM position inside the editor
+function ceOffsetOf(ce, container, localOffset) {
+    if (container !== ce && !ce.contains(container)) return 0;
+    if (container.nodeType === Node.TEXT_NODE) {
+        // Add up the node lengths instead of building the text before the position
+        const walker = document.createTreeWalker(ce, NodeFilter.SHOW_TEXT);
+        let pos = 0;
+        for (let node = walker.nextNode(); node && node !== container; node = walker.nextNode()) pos += node.nodeValue.length;
+        return pos + localOffset;
+    }
+    const r = document.createRange();
+    r.selectNodeContents(ce);
+    r.setEnd(container, localOffset);
+    return r.toString().length;
+}
+
+// Long plain texts are split into blocks at line ends. The browser skips layout
+// and paint of the blocks out of view (content-visibility), and typing only
+// lays out the block being edited. Offsets and textContent are unaffected.
+const CHUNK_THRESHOLD = 100_000;
+const CHUNK_SIZE = 8192;
+
+function renderChunks(text) {
+    const fragment = document.createDocumentFragment();
+    let start = 0;
+    while (start < text.length) {
+        // Blocks must end with a line break, or they'd break a line in two
+        const cut = text.indexOf('\n', start + CHUNK_SIZE);
+        const end = cut === -1 ? text.length : cut + 1;
+        let lines = 1;
+        for (let i = text.indexOf('\n', start); i !== -1 && i < end - 1; i = text.indexOf('\n', i + 1)) lines++;
+        const chunk = document.createElement('span');
+        chunk.className = 'prompt-inspector-chunk';
+        chunk.style.setProperty('--lines', String(lines)); // size estimate until rendered once
+        chunk.textContent = text.slice(start, end);
+        fragment.appendChild(chunk);
+        start = end;
+    }
+    return fragment;
+}
+
+function ceIsChunked(ce) {
+    return !!ce.firstElementChild?.classList.contains('prompt-inspector-chunk');
+}
+
 function ceGetText(ce) { return ce.textContent; }
 function ceSetText(ce, text) {
+    const highlighter = highlighters.get(ce);
+    const fragment = highlighter ? highlighter(text) : null;
+    if (fragment) {
+        ce.replaceChildren(fragment);
+        return;
+    }
+    if (text.length > CHUNK_THRESHOLD) {
+        ce.replaceChildren(renderChunks(text));
+        return;
+    }
     const node = ce.firstChild;
-    if (node && node.nodeType === Node.TEXT_NODE) {
+    if (node && node.nodeType === Node.TEXT_NODE && node === ce.lastChild) {
         if (node.nodeValue !== text) node.nodeValue = text;
     } else {
-        ce.innerHTML = ''; ce.appendChild(document.createTextNode(text));
+        ce.replaceChildren(document.createTextNode(text));
     }
 }
 function ceSetSelection(ce, start, end) {
     const sel = window.getSelection();
-    const node = ce.firstChild;
-    const len = node.nodeValue.length;
-    const s = Math.max(0, Math.min(len, start|0));
-    const e = Math.max(0, Math.min(len, end==null? s : end|0));
-    const r = document.createRange();
-    r.setStart(node, s); r.setEnd(node, e);
+    const r = ceRangeFromOffsets(ce, start, end == null ? start : end);
     sel.removeAllRanges(); sel.addRange(r);
 }
 function ceGetSelection(ce) {
     const sel = window.getSelection();
     if (!sel || sel.rangeCount === 0) return { start: 0, end: 0 };
     const r = sel.getRangeAt(0);
-    const node = ce.firstChild;
-    if (r.startContainer !== node || r.endContainer !== node) return { start: 0, end: 0 };
-    return { start: r.startOffset, end: r.endOffset };
+    if (!ce.contains(r.startContainer) || !ce.contains(r.endContainer)) return { start: 0, end: 0 };
+    return { start: ceOffsetOf(ce, r.startContainer, r.startOffset), end: ceOffsetOf(ce, r.endContainer, r.endOffset) };
+}
+
+function ceRangeFromOffsets(ce, start, end) {
+    const len = ce.textContent.length;
+    const s = Math.max(0, Math.min(len, start|0));
+    const e = Math.max(s, Math.min(len, end|0));
+    const from = ceLocate(ce, s);
+    const to = e === s ? from : ceLocate(ce, e);
+    const r = document.createRange();
+    r.setStart(from.node, from.offset); r.setEnd(to.node, to.offset);
+    return r;
+}
+
+// Re-renders the highlighting after edits, keeping the selection
+function ceRefreshHighlight(ce) {
+    if (!highlighters.has(ce)) return;
+    // Still too long to highlight: the blocks are fine as they are
+    if (ceIsChunked(ce) && ce.textContent.length > HIGHLIGHT_MAX_LENGTH) return;
+    const hasFocus = document.activeElement === ce;
+    const { start, end } = ceGetSelection(ce);
+    ceSetText(ce, ceGetText(ce));
+    if (hasFocus) ceSetSelection(ce, start, end);
+    // Ranges held by marks (find matches, errors) pointed at the replaced nodes
+    ce.dispatchEvent(new CustomEvent('prompt-inspector-rendered'));
+}
+
+// Replaces a range through the text model and puts the caret after it. Without
+// highlighting, a range inside one text node is edited in place (no re-render).
+function ceReplaceRange(ce, start, end, text) {
+    const from = ceLocate(ce, start);
+    if ((!highlighters.has(ce) || ceIsChunked(ce)) && from.offset + (end - start) <= from.node.nodeValue.length) {
+        from.node.replaceData(from.offset, end - start, text);
+    } else {
+        const current = ceGetText(ce);
+        ceSetText(ce, current.slice(0, start) + text + current.slice(end));
+    }
+    ceSetSelection(ce, start + text.length);
+}
+
+// Replaces the selection with plain text through the text model (no browser <div>/<br>)
+function ceInsertText(ce, text) {
+    const { start, end } = ceGetSelection(ce);
+    ceReplaceRange(ce, start, end, text);
+    ce.dispatchEvent(new Event('input'));
+}
+
+// Marks a range without touching the DOM (CSS Custom Highlight API, no-op if unsupported)
+const ERROR_HIGHLIGHT = 'prompt-inspector-error';
+function ceMarkError(ce, start, end) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+    const len = ce.textContent.length;
+    // Point at the last character when the error is at the very end
+    const s = start >= len ? len - 1 : start;
+    CSS.highlights.set(ERROR_HIGHLIGHT, new Highlight(ceRangeFromOffsets(ce, s, Math.max(s, end))));
+}
+function ceClearError() {
+    if (typeof CSS === 'undefined' || !CSS.highlights) return;
+    CSS.highlights.delete(ERROR_HIGHLIGHT);
+}
+
+// Marks where the prompt stops matching the previous request, up to the end of that line
+const CACHE_HIGHLIGHT = 'prompt-inspector-cache';
+function ceMarkCacheDifference(ce, offset) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+    const text = ce.textContent;
+    if (!text.length) return;
+    const s = Math.min(offset, text.length - 1);
+    let end = text.indexOf('\n', s);
+    if (end < 0 || end - s > 200) end = Math.min(text.length, s + 200);
+    CSS.highlights.set(CACHE_HIGHLIGHT, new Highlight(ceRangeFromOffsets(ce, s, Math.max(s + 1, end))));
+}
+function ceClearCacheDifference() {
+    if (typeof CSS === 'undefined' || !CSS.highlights) return;
+    CSS.highlights.delete(CACHE_HIGHLIGHT);
 }
 
 function caretOffsetFromClientXY(ce, x, y) {
     const doc = ce.ownerDocument;
     if (doc.caretPositionFromPoint) {
         const pos = doc.caretPositionFromPoint(x, y);
-        if (pos && pos.offsetNode === ce.firstChild) return pos.offset;
-        if (pos) {
-            const r = doc.createRange();
-            r.setStart(pos.offsetNode, pos.offset);
-            return Math.max(0, Math.min(ce.firstChild.length, r.startOffset));
-        }
+        if (pos && ce.contains(pos.offsetNode)) return ceOffsetOf(ce, pos.offsetNode, pos.offset);
     }
     if (doc.caretRangeFromPoint) {
         const range = doc.caretRangeFromPoint(x, y);
-        if (range) {
-            const node = range.startContainer;
-            const offset = range.startOffset;
-            if (node === ce.firstChild) return offset;
-            if (node === ce) return Math.max(0, Math.min(ce.firstChild.length, offset));
-        }
+        if (range && ce.contains(range.startContainer)) return ceOffsetOf(ce, range.startContainer, range.startOffset);
     }
     return 0;
 }
@@ -217,12 +287,8 @@ function ceFirstFullyVisibleOffset(ce) {
     let y = contentTop + lh * 0.6;
     for (let steps = 0; steps < 8; steps++) {
         const off = caretOffsetFromClientXY(ce, x, y);
-        const r = document.createRange();
-        const node = ce.firstChild;
-        const len = node.length;
-        const idx = Math.max(0, Math.min(len, off));
-        r.setStart(node, idx); r.setEnd(node, idx);
-        const caretRect = r.getBoundingClientRect();
+        const idx = Math.max(0, Math.min(ce.textContent.length, off));
+        const caretRect = ceRangeFromOffsets(ce, idx, idx).getBoundingClientRect();
 
         const topOK = caretRect.top >= contentTop - 0.5;
         const bottomOK = caretRect.bottom <= contentBottom + 0.5;
@@ -245,11 +311,8 @@ function ceScrollToOffsetFullyVisible(ce, targetOffset) {
     const contentTop = rect.top + padT;
     const contentBottom = rect.bottom - padB;
 
-    const range = document.createRange();
-    const text = ce.firstChild;
-    const len = text.length;
-    const idx = Math.max(0, Math.min(len, targetOffset|0));
-    range.setStart(text, idx); range.setEnd(text, idx);
+    const idx = Math.max(0, Math.min(ce.textContent.length, targetOffset|0));
+    const range = ceRangeFromOffsets(ce, idx, idx);
 
     // Align top to contentTop
     let caretRect = range.getBoundingClientRect();
@@ -267,74 +330,28 @@ function ceScrollToOffsetFullyVisible(ce, targetOffset) {
     if (Math.abs(err) > 0.5) ce.scrollTop += err;
 }
 
-// ───────────────────────────────────────────────────────────────────────────────
-// Anchor: build & match while ignoring newlines (real \n, CR, and literal "\n")
-// ───────────────────────────────────────────────────────────────────────────────
-function isLiteralBackslashN(text, i) { return text[i] === '\\' && text[i+1] === 'n'; }
-function isRealNewline(ch) { return ch === '\n' || ch === '\r'; }
-
-function buildAnchorIgnoringNewlines(text, startIdx, count = 30) {
-    let out = '';
-    let i = Math.max(0, startIdx|0);
-    while (i < text.length && out.length < count) {
-        if (isLiteralBackslashN(text, i)) { i += 2; continue; }
-        const ch = text[i];
-        if (isRealNewline(ch)) { i += 1; continue; }
-        out += ch; i += 1;
-    }
-    return out;
-}
-
-function findAnchorIgnoringNewlines(text, anchor, aroundIndex, radius = 4096) {
-    if (!anchor || anchor.length === 0) return aroundIndex;
-    const start = Math.max(0, aroundIndex - radius);
-    const end = Math.min(text.length, aroundIndex + radius);
-
-    function tryScan(from, to, step) {
-        for (let s = from; (step > 0 ? s <= to : s >= to); s += step) {
-            let ti = s, ai = 0, firstIndex = -1;
-            while (ti < text.length && ti >= 0 && ai < anchor.length) {
-                if (isLiteralBackslashN(text, ti)) { ti += 2; continue; }
-                const ch = text[ti];
-                if (isRealNewline(ch)) { ti += (step > 0 ? 1 : -1); continue; }
-                if (anchor[ai] !== ch) break;
-                if (firstIndex === -1) firstIndex = ti;
-                ai += 1; ti += 1;
-            }
-            if (ai === anchor.length) return firstIndex;
-        }
-        return -1;
-    }
-
-    let idx = tryScan(aroundIndex, end, +1);
-    if (idx !== -1) return idx;
-    idx = tryScan(aroundIndex, start, -1);
-    if (idx !== -1) return idx;
-    return aroundIndex;
+// Scroll only if the line at offset is outside the viewport
+function ceEnsureOffsetVisible(ce, targetOffset) {
+    const cs = getComputedStyle(ce);
+    const rect = ce.getBoundingClientRect();
+    const contentTop = rect.top + (parseFloat(cs.paddingTop) || 0);
+    const contentBottom = rect.bottom - (parseFloat(cs.paddingBottom) || 0);
+    const idx = Math.max(0, Math.min(ce.textContent.length, targetOffset|0));
+    const caretRect = ceRangeFromOffsets(ce, idx, idx).getBoundingClientRect();
+    if (caretRect.top < contentTop - 0.5 || caretRect.bottom > contentBottom + 0.5) ceScrollToOffsetFullyVisible(ce, idx);
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
 // UI & event wiring
 // ───────────────────────────────────────────────────────────────────────────────
 function addLaunchButton() {
-    const enabledText = t`Stop Inspecting`;
-    const disabledText = t`Inspect Prompts`;
-    const enabledIcon = 'fa-solid fa-bug-slash';
-    const disabledIcon = 'fa-solid fa-bug';
-
-    const getIcon = () => inspectEnabled ? enabledIcon : disabledIcon;
-    const getText = () => inspectEnabled ? enabledText : disabledText;
-
     const launchButton = document.createElement('div');
     launchButton.id = 'inspectNextPromptButton';
     launchButton.classList.add('list-group-item', 'flex-container', 'flexGap5', 'interactable');
     launchButton.tabIndex = 0;
-    launchButton.title = t`Toggle prompt inspection`;
     const icon = document.createElement('i');
-    icon.className = getIcon();
     launchButton.appendChild(icon);
     const textSpan = document.createElement('span');
-    textSpan.textContent = getText();
     launchButton.appendChild(textSpan);
 
     const extensionsMenu = document.getElementById('prompt_inspector_wand_container') ?? document.getElementById('extensionsMenu');
@@ -345,19 +362,90 @@ function addLaunchButton() {
     extensionsMenu.tabIndex = 0;
 
     extensionsMenu.appendChild(launchButton);
-    launchButton.addEventListener('click', () => {
-        toggleInspectNext();
-        textSpan.textContent = getText();
-        icon.className = getIcon();
-    });
+    launchButton.addEventListener('click', () => toggleInspect());
+    refreshLaunchButton();
+}
+
+// Wand menu entry shows the active mode (and whether filters narrow it)
+function refreshLaunchButton() {
+    const button = document.getElementById('inspectNextPromptButton');
+    if (!button) return;
+    const filters = describeFilters(loadFilters());
+    const texts = { off: t`Inspect Prompts`, always: t`Stop Inspecting`, next: t`Inspecting Next Prompt` };
+    const icons = { off: 'fa-solid fa-bug', always: 'fa-solid fa-bug-slash', next: 'fa-solid fa-forward-step' };
+    const titles = {
+        off: t`Toggle prompt inspection`,
+        always: t`Every generation opens the editor. Click to stop.`,
+        next: t`Only the next generation opens the editor. Click to cancel.`,
+    };
+    button.querySelector('i').className = icons[inspectMode];
+    button.querySelector('span').textContent = texts[inspectMode] + (inspectMode !== 'off' && filters ? ` (${t`filtered`})` : '');
+    button.title = titles[inspectMode] + (filters ? `\n${t`Filters`}: ${filters}` : '');
+    button.dataset.mode = inspectMode;
+}
+
+// Plain wand menu entry that opens a tool
+function addMenuButton(id, iconClass, text, title, onClick) {
+    const button = document.createElement('div');
+    button.id = id;
+    button.classList.add('list-group-item', 'flex-container', 'flexGap5', 'interactable');
+    button.tabIndex = 0;
+    button.title = title;
+    const icon = document.createElement('i');
+    icon.className = iconClass;
+    button.appendChild(icon);
+    const textSpan = document.createElement('span');
+    textSpan.textContent = text;
+    button.appendChild(textSpan);
+
+    const extensionsMenu = document.getElementById('prompt_inspector_wand_container') ?? document.getElementById('extensionsMenu');
+    extensionsMenu?.appendChild(button);
+    button.addEventListener('click', onClick);
 }
 
-let inspectEnabled = localStorage.getItem('promptInspectorEnabled') === 'true' || false;
+function addToolButtons() {
+    addMenuButton('promptInspectorHistoryButton', 'fa-solid fa-clock-rotate-left', t`Prompt History`, t`Browse previously inspected prompts`,
+        () => showHistoryBrowser({ openInEditor: openHistoryEntryInEditor }));
+    addMenuButton('promptInspectorRulesButton', 'fa-solid fa-wand-magic-sparkles', t`Prompt Rules`, t`Find/replace rules applied to every outgoing prompt`,
+        () => showRulesManager({ getSamplePrompt: () => lastCapturedPrompt }));
+    addMenuButton('promptInspectorNextButton', 'fa-solid fa-forward-step', t`Inspect Next Prompt`, t`Open the editor for the next generation only`,
+        () => setMode(inspectMode === 'next' ? 'off' : 'next'));
+    addMenuButton('promptInspectorFiltersButton', 'fa-solid fa-filter', t`Inspection Filters`, t`Only inspect some generation types, characters, models or prompts`,
+        () => showFiltersManager({ onChange: refreshLaunchButton }));
+    addMenuButton('promptInspectorMonitorButton', 'fa-solid fa-display', t`Prompt Monitor`, t`Show every prompt as it is sent in a panel, without pausing generations`,
+        () => toggleMonitor());
+    addMenuButton('promptInspectorResponsesButton', 'fa-solid fa-reply', responsesButtonText(), t`Open the editor on every generated response before it is shown`,
+        () => toggleInspectResponses());
+}
+
+function responsesButtonText() {
+    return getInspectResponses() ? t`Stop Inspecting Responses` : t`Inspect Responses`;
+}
+
+function toggleInspectResponses() {
+    const enabled = !getInspectResponses();
+    setInspectResponses(enabled);
+    toastr.info(enabled ? 'Responses will be inspected before they are shown' : 'Response inspection is now disabled');
+    $('#promptInspectorResponsesButton span').text(responsesButtonText());
+}
+
+let inspectMode = getInspectMode();
+
+function setMode(mode, quiet = false) {
+    inspectMode = mode;
+    setInspectMode(mode);
+    const messages = {
+        off: 'Prompt inspection is now disabled',
+        always: 'Prompt inspection is now enabled',
+        next: 'The next prompt will be inspected',
+    };
+    if (!quiet) toastr.info(messages[mode]);
+    refreshLaunchButton();
+    refreshMonitor();
+}
 
-function toggleInspectNext() {
-    inspectEnabled = !inspectEnabled;
-    toastr.info(`Prompt inspection is now ${inspectEnabled ? 'enabled' : 'disabled'}`);
-    localStorage.setItem('promptInspectorEnabled', String(inspectEnabled));
+function toggleInspect() {
+    setMode(inspectMode === 'off' ? 'always' : 'off');
 }
 
 // Persist view choice
@@ -369,52 +457,447 @@ function setShowNewlines(v) {
     localStorage.setItem('promptInspectorShowNewlines', String(v));
 }
 
+// Persist syntax highlighting choice
+function getHighlightDefault() {
+    return localStorage.getItem('promptInspectorHighlight') !== 'false';
+}
+function setHighlight(v) {
+    localStorage.setItem('promptInspectorHighlight', String(v));
+}
+
+// Persist the whitespace overlay choice
+function getShowWhitespace() {
+    return localStorage.getItem('promptInspectorShowWhitespace') === 'true';
+}
+function setShowWhitespace(v) {
+    localStorage.setItem('promptInspectorShowWhitespace', String(v));
+}
+
+// Persist the outline panel choice
+function getShowOutline() {
+    return localStorage.getItem('promptInspectorOutline') === 'true';
+}
+function setShowOutline(v) {
+    localStorage.setItem('promptInspectorOutline', String(!!v));
+}
+
+// Persist chat completion view ('text' | 'cards')
+function getChatViewDefault() {
+    return localStorage.getItem('promptInspectorChatView') === 'cards' ? 'cards' : 'text';
+}
+function setChatView(v) {
+    localStorage.setItem('promptInspectorChatView', v);
+}
+
+// Persist text completion view ('text' | 'blocks')
+function getTextViewDefault() {
+    return localStorage.getItem('promptInspectorTextView') === 'blocks' ? 'blocks' : 'text';
+}
+function setTextView(v) {
+    localStorage.setItem('promptInspectorTextView', v);
+}
+
+// Persist "review changes before sending"
+function getReviewOnSave() {
+    return localStorage.getItem('promptInspectorReviewOnSave') === 'true';
+}
+function setReviewOnSave(v) {
+    localStorage.setItem('promptInspectorReviewOnSave', String(v));
+}
+
+// Editor timings in the console; no UI, set from the browser console (see README)
+function getTimingLog() {
+    return localStorage.getItem('promptInspectorTimingLog') === 'true';
+}
+
+// Persist the Chat Completion export format
+function getExportFormatDefault() {
+    const v = localStorage.getItem('promptInspectorExportFormat');
+    return CHAT_FORMATS.some(f => f.id === v) ? v : 'json';
+}
+function setExportFormat(v) {
+    localStorage.setItem('promptInspectorExportFormat', v);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// History
+// ───────────────────────────────────────────────────────────────────────────────
+let lastGenerationType = '';
+
+eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+    if (dryRun) return;
+    lastGenerationType = type ?? '';
+    // Response inspection: quiet generations don't show a message
+    if (type === 'quiet') return;
+    responseGenerationType = type || 'normal';
+    clearRawResponse();
+});
+
+function describeCurrentChat() {
+    const context = getContext();
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+    return {
+        character: group?.name ?? context.name2 ?? '',
+        chatId: String(context.chatId ?? ''),
+    };
+}
+
+function currentModel() {
+    try { return getGeneratingModel() ?? ''; } catch { return ''; } // not every API reports a model
+}
+
+async function recordHistory(original, result, chatCompletion) {
+    if (!getHistoryEnabled()) return;
+    const model = currentModel();
+    try {
+        await addHistoryEntry({
+            timestamp: Date.now(),
+            api: main_api,
+            model,
+            chatCompletion,
+            ...describeCurrentChat(),
+            generationType: lastGenerationType,
+            original,
+            final: result.text,
+            outcome: result.outcome,
+        });
+    } catch (e) {
+        console.error('Prompt Inspector: Could not save the prompt history', e);
+    }
+}
+
+async function openHistoryEntryInEditor(entry, text) {
+    // No generation is waiting for this editor
+    const result = await showPromptInspector(text, { canCancel: false });
+    if (result.outcome !== 'edited') return;
+    const copy = { ...entry, timestamp: Date.now(), generationType: 'history', original: text, final: result.text, outcome: 'edited' };
+    delete copy.id;
+    await addHistoryEntry(copy);
+    toastr.success('The edited prompt was saved to the history');
+}
+
+// Chat prompt whose formatted JSON is only built when something reads it, and then once.
+// The array is copied; the messages are shared, the hooks replace them rather than change them.
+function chatPromptSnapshot(messages, text = null) {
+    const copy = messages.slice();
+    return {
+        isChat: true,
+        get text() {
+            return (text ??= JSON.stringify(copy, null, 4));
+        },
+    };
+}
+
+function tryParseMessageArray(text) {
+    try {
+        const value = JSON.parse(text);
+        return Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Rewrite rules
+// ───────────────────────────────────────────────────────────────────────────────
+/** Last prompt seen by the hooks (before rules), used as the rules dry-run sample */
+let lastCapturedPrompt = null;
+
+function logRuleReport(report) {
+    const matched = report.filter(r => r.matches > 0);
+    if (matched.length) console.debug('Prompt Inspector: Rules applied', matched.map(r => `${r.rule.name || r.rule.find}: ${r.matches}`));
+    for (const r of report.filter(r => r.error)) console.warn(`Prompt Inspector: Rule "${r.rule.name || r.rule.find}" failed: ${r.error}`);
+}
+
+function applyChatRules(data) {
+    if (!Array.isArray(data.chat) || !hasActiveRules(true)) return;
+    const { messages, changed, report } = applyRulesToChat(data.chat, loadRules());
+    // Only the changed messages are swapped in, the array itself is kept
+    for (const index of changed) data.chat[index] = messages[index];
+    logRuleReport(report);
+}
+
+function applyTextRules(data) {
+    if (typeof data.prompt !== 'string' || !hasActiveRules(false)) return;
+    const { text, report } = applyRulesToText(data.prompt, loadRules());
+    data.prompt = text;
+    logRuleReport(report);
+}
+
+// Mode and filters decide whether this generation opens the editor; a one-shot is used up here.
+// The prompt is only read when a filter needs it.
+function shouldInspect(getPrompt) {
+    if (inspectMode === 'off') return false;
+    const info = {
+        generationType: lastGenerationType,
+        ...describeCurrentChat(),
+        api: main_api,
+        model: currentModel(),
+        get prompt() { return getPrompt(); },
+    };
+    if (!matchesFilters(loadFilters(), info)) return false;
+    if (inspectMode === 'next') {
+        inspectMode = 'off';
+        setInspectMode('off');
+        refreshLaunchButton();
+        refreshMonitor();
+    }
+    return true;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Pinned prompt
+// ───────────────────────────────────────────────────────────────────────────────
+// The pin of this chat, when it replaces the generated prompt (after rules): normal sends, regenerations and swipes
+function activePin(isChat) {
+    const active = getPin(describeCurrentChat().chatId);
+    return active && active.isChat === isChat && PIN_GENERATION_TYPES.includes(lastGenerationType || 'normal') ? active : null;
+}
+
+function takePinned(active, generated, isChat) {
+    const { text, added, appended } = applyPin(active, generated);
+    if (active.mode === 'append' && !appended) {
+        toastr.warning('The chat changed in other places than new turns, so they could not be placed. The pinned prompt was sent as it is.', 'Pinned prompt');
+    } else {
+        console.debug(`Prompt Inspector: Sent the pinned prompt${added ? ` with ${added} new ${isChat ? 'messages' : 'characters'}` : ''}`);
+    }
+    return text;
+}
+
+// "Pin this prompt" is only applied when the editor was saved
+function updatePin(generated, sent, result) {
+    if (!result?.pin) return;
+    const chat = describeCurrentChat();
+    if (result.pin.enabled) setPin({ ...chat, isChat: sent.isChat, generated: generated.text, text: sent.text, mode: result.pin.mode });
+    else if (getPin(chat.chatId)) clearPin();
+}
+
+function hasPin() {
+    return getPin(describeCurrentChat().chatId) !== null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Injection (/inspect-inject): text waiting for the next editor
+// ───────────────────────────────────────────────────────────────────────────────
+/** @type {{ text: string, at: 'replace' | 'start' | 'end', role: string } | null} */
+let pendingInjection = null;
+
+/** Last prompt that left the hooks (after rules and edits) */
+let lastSentPrompt = null;
+
+// Live monitor entry for the prompt that just left the hooks (only formatted while the monitor is open)
+function monitorSentPrompt(messages) {
+    if (!isMonitorOpen()) return;
+    const { text, isChat } = lastSentPrompt;
+    recordPrompt({
+        text,
+        isChat,
+        messages,
+        api: main_api,
+        model: currentModel(),
+        generationType: lastGenerationType,
+        character: describeCurrentChat().character,
+        edited: text !== lastCapturedPrompt?.text,
+    });
+}
+
+// Raw text the editor starts with: the prompt with the pending injection applied (used up here)
+function takeInjection(prompt, isChat) {
+    const injection = pendingInjection;
+    if (!injection) return prompt;
+    pendingInjection = null;
+
+    if (!isChat) {
+        if (injection.at === 'start') return injection.text + prompt;
+        if (injection.at === 'end') return prompt + injection.text;
+        return injection.text;
+    }
+
+    if (injection.at === 'replace') {
+        const validation = validateChatPrompt(injection.text);
+        if (validation.ok) return JSON.stringify(validation.messages, null, 4);
+        toastr.error(`The injected prompt is not a valid list of messages: ${validation.message}`);
+        return prompt;
+    }
+    const messages = JSON.parse(prompt);
+    const message = { role: injection.role, content: injection.text };
+    if (injection.at === 'start') messages.unshift(message);
+    else messages.push(message);
+    return JSON.stringify(messages, null, 4);
+}
+
 eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, async (data) => {
-    if (!inspectEnabled) return;
     if (data.dryRun) return;
     if (!isChatCompletion()) return;
 
-    const promptJson = JSON.stringify(data.chat, null, 4);
-    const result = await showPromptInspector(promptJson);
-    if (result === promptJson) return;
+    if (!Array.isArray(data.chat)) return;
+
+    // The prompt is only formatted as JSON for what reads it: filters, a pin, the editor, the cache comparison
+    const { chatId } = describeCurrentChat();
+    // Requests are kept while something compares them: the editor may open, or every request is logged
+    const keepRequests = inspectMode !== 'off' || getCacheLog();
+    const previousRequest = keepRequests ? getPreviousRequest(chatId) : null;
+    lastCapturedPrompt = chatPromptSnapshot(data.chat);
+    applyChatRules(data);
+    const generated = chatPromptSnapshot(data.chat);
+    let prompt = generated;
+    const pin = activePin(true);
+    if (pin) {
+        const pinnedJson = takePinned(pin, generated.text, true);
+        if (pinnedJson !== generated.text) {
+            data.chat.splice(0, data.chat.length, ...JSON.parse(pinnedJson));
+            prompt = chatPromptSnapshot(data.chat, pinnedJson);
+        }
+    }
 
-    try {
-        const chat = JSON.parse(result);
-        if (Array.isArray(chat) && Array.isArray(data.chat)) {
-            data.chat.splice(0, data.chat.length, ...chat);
+    let result = null;
+    let sent = prompt;
+    if (shouldInspect(() => prompt.text)) {
+        const promptJson = prompt.text;
+        result = await showPromptInspector(promptJson, { text: takeInjection(promptJson, true), pinned: hasPin(), previousRequest });
+        recordHistory(promptJson, result, true);
+        if (result.text !== promptJson) {
+            try {
+                const chat = JSON.parse(result.text);
+                if (Array.isArray(chat)) {
+                    data.chat.splice(0, data.chat.length, ...chat);
+                    sent = chatPromptSnapshot(data.chat);
+                }
+            } catch (e) {
+                console.error('Prompt Inspector: Invalid JSON', e);
+                toastr.error('Invalid JSON. The original prompt was sent.');
+            }
         }
-    } catch (e) {
-        console.error('Prompt Inspector: Invalid JSON', e);
-        toastr.error('Invalid JSON');
+    }
+
+    lastSentPrompt = sent;
+    updatePin(generated, sent, result);
+    monitorSentPrompt(data.chat.length);
+    if (keepRequests) {
+        // The comparison counts tokens after this handler returns, so it gets its own copy of the chat
+        const sentJson = sent.text;
+        if (previousRequest && getCacheLog()) {
+            logPrefix(previousRequest, JSON.parse(sentJson)).catch((e) => console.warn('Prompt Inspector: Cache prefix log failed', e));
+        }
+        rememberRequest(chatId, sentJson);
     }
 });
 
 eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, async (data) => {
-    if (!inspectEnabled) return;
     if (data.dryRun) return;
     if (isChatCompletion()) return;
 
-    const result = await showPromptInspector(data.prompt);
-    if (result === data.prompt) return;
+    lastCapturedPrompt = { text: data.prompt, isChat: false };
+    applyTextRules(data);
+    const generated = { text: data.prompt, isChat: false };
+    const pin = typeof data.prompt === 'string' ? activePin(false) : null;
+    if (pin) data.prompt = takePinned(pin, data.prompt, false);
+
+    let result = null;
+    if (shouldInspect(() => data.prompt)) {
+        const prompt = data.prompt;
+        result = await showPromptInspector(prompt, { text: takeInjection(prompt, false), pinned: hasPin() });
+        recordHistory(prompt, result, false);
+        if (result.text !== prompt) data.prompt = result.text;
+    }
+
+    lastSentPrompt = { text: data.prompt, isChat: false };
+    updatePin(generated, lastSentPrompt, result);
+    monitorSentPrompt();
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Response inspection: the generated message before it is shown
+// ───────────────────────────────────────────────────────────────────────────────
+/** Type of the generation running now (set with the history's generation type), null when idle */
+let responseGenerationType = null;
+
+for (const event of [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED]) {
+    if (event) eventSource.on(event, () => { responseGenerationType = null; });
+}
+
+// Starts a new response once SillyTavern is idle again: another swipe for swipes, otherwise a regeneration
+function regenerateWhenIdle(type) {
+    const run = () => setTimeout(() => {
+        if (type === 'swipe') $('#chat .last_mes .swipe_right').trigger('click');
+        else $('#option_regenerate').trigger('click');
+    });
+    if (event_types.GENERATION_ENDED) eventSource.once(event_types.GENERATION_ENDED, run);
+    else setTimeout(run, 500);
+}
+
+eventSource.on(event_types.MESSAGE_RECEIVED, async (messageId) => {
+    const type = responseGenerationType;
+    if (!getInspectResponses() || !type || type === 'impersonate') return;
+    const message = getContext().chat[messageId];
+    if (!message || message.is_user || message.is_system || typeof message.mes !== 'string') return;
+
+    const raw = await takeRawResponse();
+    const result = await showPromptInspector(message.mes, {
+        title: 'View and Edit the response',
+        response: { raw, canRegenerate: type !== 'continue' },
+    });
+    if (result.outcome === 'regenerate') {
+        regenerateWhenIdle(type);
+        return;
+    }
+    if (result.outcome !== 'edited') return;
 
-    data.prompt = result;
+    message.mes = result.text;
+    if (Array.isArray(message.swipes) && Number.isInteger(message.swipe_id)) message.swipes[message.swipe_id] = result.text;
+    // Streamed messages are already on screen
+    if (document.querySelector(`#chat .mes[mesid="${messageId}"]`)) updateMessageBlock(messageId, message);
+    await getContext().saveChat();
 });
 
+// Time until the next frame is painted, in the console when timing logs are on
+function logTiming(label, started) {
+    if (!getTimingLog()) return;
+    requestAnimationFrame(() => setTimeout(() => {
+        console.info(`Prompt Inspector: ${label} in ${Math.round(performance.now() - started)} ms`);
+    }));
+}
+
 /**
  * Popup with contenteditable editor and strict "first fully visible line" behavior.
- * @param {string} input
- * @returns {Promise<string>}
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.text] Raw text to start editing from instead of the prompt (the prompt stays the original)
+ * @param {boolean} [options.readOnly] View only: no editing, a single "Close" button
+ * @param {boolean} [options.pinned] Offer "Pin this prompt", checked when a pin is active (live generations only)
+ * @param {boolean} [options.canCancel] Offer "Cancel generation" (off when no generation is waiting for the editor)
+ * @param {string} [options.title] Heading instead of the default one
+ * @param {object[] | null} [options.previousRequest] Chat Completion: last request sent in this chat, to show the shared cache prefix (null when there was none)
+ * @param {{ raw: import('./response-inspect.js').RawResponse | null, canRegenerate: boolean }} [options.response] Edit a generated response instead of a prompt
+ * @returns {Promise<{ text: string, outcome: 'edited' | 'unchanged' | 'discarded' | 'cancelled' | 'regenerate', pin?: { enabled: boolean, mode: import('./prompt-pin.js').PinMode } }>} pin is set when the prompt was saved with the pin option
  */
-async function showPromptInspector(input) {
+async function showPromptInspector(prompt, { text: promptStart = prompt, readOnly = false, pinned, canCancel = true, title, response, previousRequest } = {}) {
+    const openStarted = performance.now();
+    // Long inline media (base64 images, audio) is edited as placeholders and put back on the way out
+    const media = createMediaStore();
+    const input = media.collapse(prompt);
+    const startText = promptStart === prompt ? input : media.collapse(promptStart);
     const template = $(await renderExtensionTemplateAsync(path, 'template'));
     const $ta = template.find('#inspectPrompt'); // original textarea in template
     const isJson = isLikelyJson(input);
+    if (title) template.find('h3').text(title);
+    else if (readOnly) template.find('h3').text('View the prompt');
 
     const ce = buildContentEditableFromTextarea($ta);
+    if (readOnly) ce.contentEditable = 'false';
+    let highlightEnabled = getHighlightDefault();
+    let whitespaceEnabled = getShowWhitespace();
+    let outlineVisible = getShowOutline();
+    const makeHighlighter = () => (highlightEnabled || whitespaceEnabled)
+        ? createHighlighter(isJson, { syntax: highlightEnabled, whitespace: whitespaceEnabled })
+        : null;
+    ceSetHighlighter(ce, makeHighlighter());
 
     let showNewlines = getShowNewlinesDefault() !== 'false'; // default true
-    const initialText = (showNewlines && isJson) ? jsonStringsDisplayNewlines(input) : input;
-    ceSetText(ce, initialText);
+    // Last transforms in both directions; the next ones only redo the edited region
+    let decoded = (showNewlines && isJson) ? decodeJsonStrings(startText) : null;
+    let encoded = null;
+    ceSetText(ce, decoded ? decoded.text : startText);
 
     // Centered toggle button under editor
     const toggleWrap = $(`
@@ -423,15 +906,596 @@ async function showPromptInspector(input) {
                 class="menu_button"
                 style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
                 type="button"
-                title="Toggle between raw (\\n) and real line breaks"
+                title="Toggle between raw JSON escapes (\\n, \\t, \\uXXXX) and the characters they stand for"
                 aria-pressed="${showNewlines ? 'true' : 'false'}">
                 <i id="linebreakToggleIcon" class="${showNewlines ? 'fa-solid fa-eye-slash' : 'fa-solid fa-eye'}"></i>
                 <span>Toggle line breaks</span>
             </button>
+            <button id="chatViewToggleBtn"
+                class="menu_button"
+                style="display:none;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Switch between the JSON text and the per-message editor">
+                <i id="chatViewToggleIcon" class="fa-solid fa-table-list"></i>
+                <span id="chatViewToggleText">Edit as messages</span>
+            </button>
+            <button id="highlightToggleBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Toggle syntax highlighting"
+                aria-pressed="${highlightEnabled ? 'true' : 'false'}">
+                <i class="fa-solid fa-palette"></i>
+                <span>Highlighting</span>
+            </button>
+            <button id="whitespaceToggleBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Mark tabs, trailing spaces, non-breaking and zero-width characters"
+                aria-pressed="${whitespaceEnabled ? 'true' : 'false'}">
+                <i class="fa-solid fa-paragraph"></i>
+                <span>Whitespace</span>
+            </button>
+            <button id="findReplaceBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Find and replace (Ctrl+F / Ctrl+H)">
+                <i class="fa-solid fa-magnifying-glass"></i>
+                <span>Find</span>
+            </button>
+            <button id="outlineToggleBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Show or hide the outline of messages and sections next to the editor"
+                aria-pressed="${outlineVisible ? 'true' : 'false'}">
+                <i class="fa-solid fa-list-ul"></i>
+                <span>Outline</span>
+            </button>
+            <button id="undoBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Undo (Ctrl+Z)">
+                <i class="fa-solid fa-rotate-left"></i>
+            </button>
+            <button id="redoBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Redo (Ctrl+Shift+Z / Ctrl+Y)">
+                <i class="fa-solid fa-rotate-right"></i>
+            </button>
+            <button id="reviewChangesBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Show a diff of your edits against the original prompt">
+                <i class="fa-solid fa-code-compare"></i>
+                <span>Review changes</span>
+            </button>
+            <button id="importPromptBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Replace the prompt with one loaded from a file">
+                <i class="fa-solid fa-file-import"></i>
+                <span>Import</span>
+            </button>
+            <button id="exportPromptBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Download the prompt as a file">
+                <i class="fa-solid fa-file-export"></i>
+                <span>Export</span>
+            </button>
+            <select id="exportFormatSelect" class="text_pole" style="display:inline-block;width:auto;margin:0;" title="Export format"></select>
+            <button id="unescapeBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Turn escape sequences written as text (\\n, \\t, \\&quot;, \\uXXXX) into the characters they stand for">
+                <i class="fa-solid fa-broom"></i>
+                <span>Unescape</span>
+            </button>
+            <button id="rawResponseBtn"
+                class="menu_button"
+                style="display:inline-flex;align-items:center;gap:8px;white-space:nowrap;padding:6px 12px;max-width:100%;"
+                type="button"
+                title="Show the full response of the backend">
+                <i class="fa-solid fa-file-code"></i>
+                <span>Raw response</span>
+            </button>
+            <label class="checkbox_label" style="display:inline-flex;align-items:center;gap:4px;margin-left:8px;"
+                title="Show the diff when pressing &quot;Save changes&quot;">
+                <input id="reviewOnSaveCheckbox" type="checkbox" ${getReviewOnSave() ? 'checked' : ''}>
+                <small>Review before sending</small>
+            </label>
+            <label class="checkbox_label" style="display:inline-flex;align-items:center;gap:4px;margin-left:8px;"
+                title="Send this prompt again for regenerations and swipes in this chat">
+                <input id="pinPromptCheckbox" type="checkbox">
+                <small>Pin this prompt</small>
+            </label>
+            <select id="pinModeSelect" class="text_pole" style="display:inline-block;width:auto;margin:0;" title="What later generations send">
+                <option value="append">Append new turns</option>
+                <option value="verbatim">Send as pinned</option>
+            </select>
         </div>
     `);
     $(ce).after(toggleWrap);
-    if (!isJson) toggleWrap.hide();
+    if (!isJson) toggleWrap.find('#linebreakToggleBtn').hide();
+
+    // Adapter used by the editor tools (find/replace, ...)
+    const editor = {
+        ce,
+        getText: () => ceGetText(ce),
+        setText: (text) => {
+            commitEdit();
+            ceSetText(ce, text);
+            ce.dispatchEvent(new Event('input'));
+        },
+        setSelection: (start, end) => ceSetSelection(ce, start, end),
+        rangeFromOffsets: (start, end) => ceRangeFromOffsets(ce, start, end),
+        scrollToOffset: (offset) => ceScrollToOffsetFullyVisible(ce, offset),
+        getSelection: () => ceGetSelection(ce),
+        firstVisibleOffset: () => ceFirstFullyVisibleOffset(ce),
+    };
+
+    const findBar = createFindReplaceBar(editor, { isJson, readOnly });
+    toggleWrap.on('click', '#findReplaceBtn', () => findBar.open(true));
+
+    // Outline of messages/sections next to the editor (not with the message cards)
+    const outline = createOutlinePanel(editor, { isJson });
+    toggleWrap.on('click', '#outlineToggleBtn', (e) => {
+        outlineVisible = !outlineVisible;
+        setShowOutline(outlineVisible);
+        e.currentTarget.setAttribute('aria-pressed', String(outlineVisible));
+        outline.setVisible(outlineVisible && chatView !== 'cards');
+    });
+
+    // Line breaks and pasted text go through the text model, so the browser
+    // can't split the document into <div>/<br> blocks
+    ce.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+        e.preventDefault();
+        commitEdit();
+        ceInsertText(ce, '\n');
+    });
+    ce.addEventListener('paste', (e) => {
+        e.preventDefault();
+        commitEdit();
+        ceInsertText(ce, (e.clipboardData?.getData('text/plain') ?? '').replace(/\r\n?/g, '\n'));
+    });
+    // Copy the text itself: for long prompts split into blocks, the browser
+    // would add a line break at every block end
+    function copySelection(e) {
+        const { start, end } = ceGetSelection(ce);
+        if (start === end || !e.clipboardData) return null;
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', ceGetText(ce).slice(start, end));
+        return { start, end };
+    }
+    ce.addEventListener('copy', copySelection);
+    ce.addEventListener('cut', (e) => {
+        if (readOnly) return;
+        const range = copySelection(e);
+        if (!range) return;
+        commitEdit();
+        ceReplaceRange(ce, range.start, range.end, '');
+        ce.dispatchEvent(new Event('input'));
+    });
+    // Typing and deleting inside a block is left to the browser; edits across
+    // blocks (e.g. Backspace at a block start) go through the text model
+    ce.addEventListener('beforeinput', (e) => {
+        if (!ceIsChunked(ce) || !e.cancelable || !/^(insertText|insertReplacementText|delete)/.test(e.inputType)) return;
+        const target = e.getTargetRanges?.()[0];
+        if (!target || target.startContainer === target.endContainer) return;
+        e.preventDefault();
+        const start = ceOffsetOf(ce, target.startContainer, target.startOffset);
+        const end = ceOffsetOf(ce, target.endContainer, target.endOffset);
+        const text = e.data ?? e.dataTransfer?.getData('text/plain') ?? '';
+        ceReplaceRange(ce, start, end, e.inputType.startsWith('delete') ? '' : text);
+        ce.dispatchEvent(new InputEvent('input', { inputType: e.inputType, data: e.data }));
+    });
+
+    // Syntax highlighting, re-rendered shortly after typing stops
+    const refreshHighlightDebounced = debounce(() => ceRefreshHighlight(ce), 250);
+    let composing = false;
+    ce.addEventListener('compositionstart', () => { composing = true; });
+    ce.addEventListener('compositionend', () => { composing = false; refreshHighlightDebounced(); });
+    ce.addEventListener('input', () => { if (!composing) refreshHighlightDebounced(); });
+    ce.addEventListener('prompt-inspector-rendered', () => {
+        findBar.refresh();
+        if (lastError) ceMarkError(ce, lastError.offset, lastError.offset + 1);
+        if (cacheDifference !== null) ceMarkCacheDifference(ce, cacheDifference);
+    });
+    function rerender() {
+        const topOffset = ceFirstFullyVisibleOffset(ce);
+        const { start, end } = ceGetSelection(ce);
+        ceSetHighlighter(ce, makeHighlighter());
+        ceSetText(ce, ceGetText(ce));
+        ceScrollToOffsetFullyVisible(ce, topOffset);
+        try { ceSetSelection(ce, start, end); } catch {}
+        ce.dispatchEvent(new CustomEvent('prompt-inspector-rendered'));
+    }
+    toggleWrap.on('click', '#highlightToggleBtn', (e) => {
+        highlightEnabled = !highlightEnabled;
+        setHighlight(highlightEnabled);
+        e.currentTarget.setAttribute('aria-pressed', String(highlightEnabled));
+        rerender();
+    });
+    toggleWrap.on('click', '#whitespaceToggleBtn', (e) => {
+        whitespaceEnabled = !whitespaceEnabled;
+        setShowWhitespace(whitespaceEnabled);
+        e.currentTarget.setAttribute('aria-pressed', String(whitespaceEnabled));
+        rerender();
+    });
+
+    // Validation status line (chat completion arrays only)
+    const statusLine = $(`
+        <div id="inspectPromptStatus" style="text-align:center;font-size:0.9em;min-height:1.4em;">
+            <span id="inspectPromptStatusText"></span>
+            <a id="inspectPromptStatusGoto" href="#" style="display:none;margin-left:8px;">Go to error</a>
+        </div>
+    `);
+    toggleWrap.after(statusLine);
+
+    // Token figures (total, and per message for chat completion)
+    const tokenLine = $(`
+        <div id="inspectPromptTokens" style="text-align:center;font-size:0.9em;margin-bottom:8px;">
+            <span id="inspectPromptTokensText">Counting tokens…</span>
+            <details id="inspectPromptTokensDetails" style="display:none;text-align:left;max-height:8em;overflow:auto;">
+                <summary style="text-align:center;cursor:pointer;">Tokens per message</summary>
+                <div id="inspectPromptTokensList" class="monospace"></div>
+            </details>
+        </div>
+    `);
+    statusLine.after(tokenLine);
+
+    // Prompt cache: where the prompt stops matching the previous request of the chat
+    const cacheLine = $(`
+        <div id="inspectPromptCache" style="text-align:center;font-size:0.9em;margin-bottom:8px;display:none;">
+            <span id="inspectPromptCacheText"></span>
+            <a id="inspectPromptCacheGoto" href="#" style="display:none;margin-left:8px;">Go to difference</a>
+            <label class="checkbox_label" style="display:inline-flex;align-items:center;gap:4px;margin-left:8px;"
+                title="Log this comparison to the browser console for every Chat Completion request, without opening the editor">
+                <input id="cacheLogCheckbox" type="checkbox" ${getCacheLog() ? 'checked' : ''}>
+                <small>Log every request</small>
+            </label>
+        </div>
+    `);
+    tokenLine.after(cacheLine);
+
+    // Per-message card view (chat completion arrays only)
+    const encodeShown = () => (encoded = encodeJsonStrings(ceGetText(ce), encoded));
+    const rawText = () => (isJson && showNewlines) ? encodeShown().text : ceGetText(ce);
+    // Shown text for a raw text, with the map from raw to shown offsets
+    const toShown = (raw) => (isJson && showNewlines) ? (decoded = decodeJsonStrings(raw, decoded)) : { text: raw, map: null };
+    const canUseCards = isJson && tryParseMessageArray(input) !== null;
+    const canUseBlocks = !isJson && !readOnly && !response;
+    // 'cards' is the structured view: message cards, or blocks for Text Completion
+    let chatView = 'text';
+    let cardEditor = null;
+    const cardsRawText = () => isJson ? JSON.stringify(cardEditor.getMessages(), null, 4) : cardEditor.getText();
+
+    // Undo/redo of the text editor. Steps are kept on the raw prompt, so the
+    // history survives the line break toggle and is mapped into the view shown.
+    const undoHistory = createUndoHistory(rawText());
+    let applyingHistory = false;
+
+    function updateUndoButtons() {
+        toggleWrap.find('#undoBtn').prop('disabled', !undoHistory.canUndo).css('opacity', undoHistory.canUndo ? '' : '0.5');
+        toggleWrap.find('#redoBtn').prop('disabled', !undoHistory.canRedo).css('opacity', undoHistory.canRedo ? '' : '0.5');
+    }
+
+    function commitEdit() {
+        if (chatView === 'cards' || composing || applyingHistory) return;
+        if (undoHistory.commit(rawText())) updateUndoButtons();
+    }
+    const commitEditDebounced = debounce(commitEdit, 500);
+
+    function applyUndoState(state) {
+        if (!state) return;
+        const shown = toShown(state.text);
+        ceSetText(ce, shown.text);
+        const { start, end } = shown.map ? shown.map.rangeToOutput(state.selection) : state.selection;
+        ce.focus();
+        ceEnsureOffsetVisible(ce, start);
+        try { ceSetSelection(ce, start, end); } catch {}
+        applyingHistory = true;
+        try { ce.dispatchEvent(new Event('input')); } finally { applyingHistory = false; }
+        updateUndoButtons();
+    }
+
+    function undo() {
+        if (chatView === 'cards') return;
+        commitEdit(); // typing still waiting for its step
+        applyUndoState(undoHistory.undo());
+    }
+    function redo() {
+        if (chatView === 'cards') return;
+        commitEdit();
+        applyUndoState(undoHistory.redo());
+    }
+
+    // Typing is grouped until a short pause; programmatic edits are steps of their own
+    ce.addEventListener('input', (e) => {
+        if (e.inputType) commitEditDebounced();
+        else commitEdit();
+    });
+    ce.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+        else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+    });
+    // Browser menu / gesture undo would replay the native stack, which doesn't know our edits
+    ce.addEventListener('beforeinput', (e) => {
+        if (e.inputType === 'historyUndo') { e.preventDefault(); undo(); }
+        else if (e.inputType === 'historyRedo') { e.preventDefault(); redo(); }
+    });
+    toggleWrap.on('click', '#undoBtn', () => undo());
+    toggleWrap.on('click', '#redoBtn', () => redo());
+    updateUndoButtons();
+
+    function setChatViewUi(view) {
+        const isCards = view === 'cards';
+        if (isCards) findBar.destroy();
+        $(findBar.element).toggle(false);
+        toggleWrap.find('#findReplaceBtn').css('display', isCards ? 'none' : 'inline-flex');
+        toggleWrap.find('#undoBtn, #redoBtn, #outlineToggleBtn').css('display', isCards ? 'none' : 'inline-flex');
+        outline.setVisible(outlineVisible && !isCards);
+        $(ce).toggle(!isCards);
+        if (cardEditor) $(cardEditor.element).toggle(isCards);
+        toggleWrap.find('#linebreakToggleBtn').css('display', isCards || !isJson ? 'none' : 'inline-flex');
+        toggleWrap.find('#chatViewToggleIcon').attr('class', isCards ? 'fa-solid fa-code' : 'fa-solid fa-table-list');
+        if (isJson) toggleWrap.find('#chatViewToggleText').text(isCards ? 'Edit as JSON' : 'Edit as messages');
+        else toggleWrap.find('#chatViewToggleText').text(isCards ? 'Edit as text' : 'Edit as blocks');
+    }
+
+    function switchChatView(view) {
+        if (view === chatView) return true;
+        if (!isJson) {
+            if (view === 'cards') {
+                commitEdit();
+                if (!cardEditor) {
+                    cardEditor = createTextBlockEditor(rawText(), getOutlineMarkers());
+                    cardEditor.onChange(() => updateTokenCountsDebounced());
+                    $(toggleWrap).before(cardEditor.element);
+                } else {
+                    cardEditor.setText(rawText());
+                }
+            } else {
+                ceSetText(ce, cardEditor.getText());
+            }
+        } else if (view === 'cards') {
+            commitEdit();
+            const messages = tryParseMessageArray(rawText());
+            if (!messages) {
+                toastr.error('The prompt is not a valid JSON array. Fix it before switching to the message editor.');
+                return false;
+            }
+            if (!cardEditor) {
+                cardEditor = createChatCardEditor(messages, { resolveMedia: media.resolve, addMedia: media.add });
+                cardEditor.onChange(() => {
+                    validateDebounced();
+                    updateTokenCountsDebounced();
+                });
+                $(toggleWrap).before(cardEditor.element);
+            } else {
+                cardEditor.setMessages(messages);
+            }
+        } else {
+            let messages;
+            try {
+                messages = cardEditor.getMessages();
+            } catch (e) {
+                toastr.error(e.message);
+                return false;
+            }
+            const json = JSON.stringify(messages, null, 4);
+            ceSetText(ce, toShown(json).text);
+        }
+        chatView = view;
+        setChatViewUi(view);
+        // Edits made on the cards become one step of the text history
+        if (view === 'text') commitEdit();
+        return true;
+    }
+
+    if (canUseCards) {
+        toggleWrap.find('#chatViewToggleBtn').css('display', 'inline-flex');
+        if (getChatViewDefault() === 'cards' && !readOnly) switchChatView('cards');
+    } else if (canUseBlocks) {
+        toggleWrap.find('#chatViewToggleBtn').css('display', 'inline-flex').attr('title', 'Switch between the prompt text and one block per section and message');
+        toggleWrap.find('#chatViewToggleText').text('Edit as blocks');
+        if (getTextViewDefault() === 'blocks') switchChatView('cards');
+    }
+    if (chatView === 'text') outline.setVisible(outlineVisible);
+
+    toggleWrap.on('click', '#chatViewToggleBtn', () => {
+        const next = chatView === 'cards' ? 'text' : 'cards';
+        if (switchChatView(next)) {
+            if (isJson) setChatView(next);
+            else setTextView(next === 'cards' ? 'blocks' : 'text');
+        }
+        validateNow();
+    });
+
+    // Live validation: offsets are reported in the view that is currently shown
+    let lastError = null;
+    let lastValidated = { raw: null, validation: null }; // toggling doesn't change the raw prompt
+    function validateRaw(raw) {
+        if (raw !== lastValidated.raw) lastValidated = { raw, validation: validateChatPrompt(raw) };
+        return lastValidated.validation;
+    }
+    function validateNow() {
+        ceClearError();
+        lastError = null;
+        if (!canUseCards) return { ok: true };
+
+        let validation;
+        if (chatView === 'cards') {
+            try {
+                cardEditor.getMessages();
+                validation = { ok: true };
+            } catch (e) {
+                validation = { ok: false, kind: 'schema', message: e.message };
+            }
+        } else {
+            const shown = ceGetText(ce);
+            const toRaw = showNewlines ? encodeShown() : null;
+            validation = validateRaw(toRaw ? toRaw.text : shown);
+            if (!validation.ok) {
+                const offset = toRaw ? toRaw.map.toSource(validation.offset) : validation.offset;
+                const { line, column } = offsetToLineColumn(shown, offset);
+                lastError = { ...validation, offset, line, column };
+                ceMarkError(ce, offset, offset + 1);
+            }
+        }
+
+        const $text = statusLine.find('#inspectPromptStatusText');
+        if (validation.ok) {
+            $text.text('✓ Valid prompt').css('color', '');
+        } else {
+            const where = lastError ? `Line ${lastError.line}, column ${lastError.column}: ` : '';
+            const label = validation.kind === 'syntax' ? 'Syntax error' : 'Invalid prompt';
+            $text.text(`⚠ ${label}. ${where}${validation.message}`).css('color', 'var(--warning, #e0a030)');
+        }
+        statusLine.find('#inspectPromptStatusGoto').toggle(!!lastError);
+        return validation;
+    }
+
+    function goToError() {
+        if (!lastError) return;
+        ce.focus();
+        ceScrollToOffsetFullyVisible(ce, lastError.offset);
+        try { ceSetSelection(ce, lastError.offset, lastError.offset); } catch {}
+    }
+
+    const validateDebounced = debounce(validateNow, 300);
+
+    let tokenCountSeq = 0;
+    async function updateTokenCounts() {
+        const seq = ++tokenCountSeq;
+        let messages = null;
+        let text = '';
+        if (chatView === 'cards' && isJson) {
+            try { messages = cardEditor.getMessages(); } catch { messages = null; }
+            text = messages ? JSON.stringify(messages) : '';
+        } else {
+            text = chatView === 'cards' ? cardEditor.getText() : rawText();
+            messages = canUseCards ? tryParseMessageArray(text) : null;
+        }
+
+        let counts;
+        try {
+            // Media counts as sent, not as its placeholder
+            const sent = media.size() ? media.expand(text) : text;
+            counts = await countPromptTokens(sent, messages && sent !== text ? JSON.parse(media.expand(JSON.stringify(messages))) : messages);
+        } catch (e) {
+            console.error('Prompt Inspector: Token counting failed', e);
+            tokenLine.find('#inspectPromptTokensText').text('Token count unavailable');
+            updateCachePrefix(messages, null);
+            return;
+        }
+        if (seq !== tokenCountSeq) return; // a newer count is on its way
+        updateCachePrefix(messages, counts.perMessage);
+
+        // A response has no prompt limits to check
+        const { level, text: summary } = response ? { level: 'ok', text: `${counts.total} tokens` } : describeTokenTotal(counts.total);
+        const colors = { ok: '', warning: 'var(--warning, #e0a030)', error: 'var(--fullred, #e05050)' };
+        tokenLine.find('#inspectPromptTokensText').text(`${level === 'ok' ? '' : '⚠ '}${summary}`).css('color', colors[level]);
+
+        const $details = tokenLine.find('#inspectPromptTokensDetails');
+        if (counts.perMessage && messages) {
+            const $list = tokenLine.find('#inspectPromptTokensList').empty();
+            counts.perMessage.forEach((count, index) => {
+                const role = messages[index]?.role ?? '?';
+                $('<div>').text(`#${index} ${role}: ${count}`).appendTo($list);
+            });
+            $details.toggle(chatView !== 'cards');
+            if (chatView === 'cards') cardEditor.setTokenCounts(counts.perMessage);
+        } else {
+            $details.hide();
+        }
+    }
+    const updateTokenCountsDebounced = debounce(updateTokenCounts, 750);
+
+    // Shown with the token figures, and recounted with them
+    const showCachePrefix = canUseCards && previousRequest !== undefined;
+    // Compared with the same placeholders, so offsets match the editor
+    const previousShown = previousRequest && JSON.parse(media.collapse(JSON.stringify(previousRequest, null, 4)));
+    let cacheAnalysis = null;
+    let cacheDifference = null; // shown offset of the first difference
+    let cacheSeq = 0;
+    cacheLine.toggle(showCachePrefix);
+    cacheLine.on('change', '#cacheLogCheckbox', (e) => setCacheLog(e.target.checked));
+    cacheLine.on('click', '#inspectPromptCacheGoto', (e) => {
+        e.preventDefault();
+        if (cacheDifference === null) return;
+        ce.focus();
+        ceScrollToOffsetFullyVisible(ce, cacheDifference);
+        try { ceSetSelection(ce, cacheDifference, cacheDifference); } catch {}
+    });
+
+    // The difference can only be marked while the text is laid out like the requests are compared
+    function markCacheDifference() {
+        ceClearCacheDifference();
+        cacheDifference = null;
+        if (cacheAnalysis && !cacheAnalysis.identical && chatView === 'text') {
+            const raw = rawText();
+            const messages = raw.length === cacheAnalysis.length ? tryParseMessageArray(raw) : null;
+            if (messages && raw === JSON.stringify(messages, null, 4)) {
+                cacheDifference = showNewlines ? encodeShown().map.toSource(cacheAnalysis.offset) : cacheAnalysis.offset;
+                ceMarkCacheDifference(ce, cacheDifference);
+            }
+        }
+        cacheLine.find('#inspectPromptCacheGoto').toggle(cacheDifference !== null);
+    }
+
+    async function updateCachePrefix(messages, perMessage) {
+        if (!showCachePrefix) return;
+        const seq = ++cacheSeq;
+        const $text = cacheLine.find('#inspectPromptCacheText');
+        cacheAnalysis = previousShown && messages ? comparePrompts(previousShown, messages) : null;
+        markCacheDifference();
+        if (!previousShown) {
+            $text.text('Prompt cache: no earlier request in this chat to compare with');
+            return;
+        }
+        if (!cacheAnalysis) {
+            $text.text('Prompt cache: the prompt is not a valid list of messages');
+            return;
+        }
+
+        const analysis = cacheAnalysis;
+        $text.text(`Prompt cache: ${describePrefix(analysis, null)}`);
+        let tokens = null;
+        try {
+            tokens = await estimateSharedTokens(messages, analysis, perMessage);
+        } catch (e) {
+            console.error('Prompt Inspector: Token counting failed', e);
+        }
+        if (seq !== cacheSeq) return;
+        $text.text(`Prompt cache: ${describePrefix(analysis, tokens)}`);
+    }
+    ce.addEventListener('input', updateTokenCountsDebounced);
+    toggleWrap.on('click', '#chatViewToggleBtn', () => updateTokenCounts());
+    updateTokenCounts();
+    if (canUseCards) {
+        ce.addEventListener('input', validateDebounced);
+        statusLine.on('click', '#inspectPromptStatusGoto', (e) => {
+            e.preventDefault();
+            goToError();
+        });
+        validateNow();
+    } else {
+        statusLine.hide();
+    }
 
     function flipIcon(isNewlines) {
         const icon = toggleWrap.find('#linebreakToggleIcon').get(0);
@@ -439,131 +1503,276 @@ async function showPromptInspector(input) {
         const btn = toggleWrap.find('#linebreakToggleBtn').get(0);
         if (btn) {
             btn.setAttribute('aria-pressed', isNewlines ? 'true' : 'false');
-            btn.title = isNewlines ? 'Show raw with \\n' : 'Show real line breaks';
+            btn.title = isNewlines ? 'Show raw JSON escapes (\\n, \\t, \\uXXXX)' : 'Show decoded text (real line breaks, tabs and characters)';
         }
     }
 
     toggleWrap.on('click', '#linebreakToggleBtn', () => {
-        const current = ceGetText(ce);
-        // 1) First FULLY visible offset
+        const started = performance.now();
+        // 1) First FULLY visible offset and the selection, in the current view
         const topOffset = ceFirstFullyVisibleOffset(ce);
-
-        // 2) Anchor of first 30 chars ignoring newlines
-        const ANCHOR_LEN = 30;
-        const anchor = buildAnchorIgnoringNewlines(current, topOffset, ANCHOR_LEN);
-
-        // 3) Save selection (optional)
-        const { start, end } = ceGetSelection(ce);
-
-        // 4) Map + transform + anchor match
-        let newText, mappedIndex, targetIndex;
-        if (showNewlines) {
-            mappedIndex = isJson ? mapFriendlyTopToRawIndex(current, topOffset) : topOffset;
-            newText = isJson ? jsonStringsSaveNewlines(current) : current;
-            targetIndex = findAnchorIgnoringNewlines(newText, anchor, mappedIndex, 4096);
-            ceSetText(ce, newText);
-            ceScrollToOffsetFullyVisible(ce, targetIndex);
-            showNewlines = false;
-        } else {
-            mappedIndex = isJson ? mapRawTopToFriendlyIndex(current, topOffset) : topOffset;
-            newText = isJson ? jsonStringsDisplayNewlines(current) : current;
-            targetIndex = findAnchorIgnoringNewlines(newText, anchor, mappedIndex, 4096);
-            ceSetText(ce, newText);
-            ceScrollToOffsetFullyVisible(ce, targetIndex);
-            showNewlines = true;
+        const hasFocus = document.activeElement === ce;
+        const selection = ceGetSelection(ce);
+
+        // 2) Transform (reusing the last one for unchanged text), and map both through its segment map
+        const { text: newText, map } = showNewlines ? encodeShown() : (decoded = decodeJsonStrings(ceGetText(ce), decoded));
+        ceSetText(ce, newText);
+        ceScrollToOffsetFullyVisible(ce, map.toOutput(topOffset));
+        if (hasFocus) {
+            const { start, end } = map.rangeToOutput(selection);
+            try { ceSetSelection(ce, start, end); } catch {}
         }
-
-        try { ceSetSelection(ce, start, end); } catch {}
+        showNewlines = !showNewlines;
 
         setShowNewlines(showNewlines);
         flipIcon(showNewlines);
+        validateNow();
+        markCacheDifference();
+        findBar.refresh();
+        outline.refresh();
+        logTiming(`toggled ${newText.length} characters`, started);
     });
 
     // Cancel button
+    let generationCancelled = false;
     /** @type {import('../../../popup').CustomPopupButton} */
     const customButton = {
         text: 'Cancel generation',
         result: POPUP_RESULT.CANCELLED,
         appendAtEnd: true,
         action: async () => {
+            generationCancelled = true;
             await stopGeneration();
             await popup.complete(POPUP_RESULT.CANCELLED);
         },
     };
 
-    const popup = new Popup(
-        template,
-        POPUP_TYPE.CONFIRM,
-        '',
-        { wide: true, large: true, okButton: 'Save changes', cancelButton: 'Discard changes', customButtons: [customButton] }
-    );
-    const result = await popup.show();
-    if (!result) return input;
+    // Responses: regenerate instead of cancel, escape fixes and the raw backend response
+    let regenerateRequested = false;
+    /** @type {import('../../../popup').CustomPopupButton} */
+    const regenerateButton = {
+        text: 'Regenerate',
+        result: POPUP_RESULT.CANCELLED,
+        appendAtEnd: true,
+        action: async () => {
+            regenerateRequested = true;
+            await popup.complete(POPUP_RESULT.CANCELLED);
+        },
+    };
+    if (response) {
+        toggleWrap.find('#importPromptBtn').remove();
+        if (!response.raw) toggleWrap.find('#rawResponseBtn').remove();
+    } else {
+        toggleWrap.find('#unescapeBtn, #rawResponseBtn').remove();
+    }
 
-    const finalText = ceGetText(ce);
-    if (isJson && showNewlines) return jsonStringsSaveNewlines(finalText);
-    return finalText;
-}
+    toggleWrap.on('click', '#unescapeBtn', () => {
+        const { text, count } = unescapeSequences(currentRawText());
+        if (count) applyRawText(text);
+        toastr.info(count ? `Unescaped ${count} sequences` : 'No escape sequences found');
+    });
 
-// ───────────────────────────────────────────────────────────────────────────────
-// Index mapping helpers
-// ───────────────────────────────────────────────────────────────────────────────
-function mapRawTopToFriendlyIndex(src, rawIndex) {
-    let friendly = 0;
-    let inStr = false;
-    let backslashCount = 0;
-    for (let i = 0; i < src.length && i < rawIndex; i++) {
-        const ch = src[i];
-        if (inStr) {
-            if (ch === '\\') { backslashCount++; continue; }
-            if (ch === '"') {
-                const escaped = (backslashCount % 2) === 1;
-                friendly += backslashCount + 1;
-                backslashCount = 0;
-                if (!escaped) inStr = false;
-                continue;
-            }
-            if (ch === 'n' && backslashCount > 0) {
-                if (backslashCount > 1) friendly += backslashCount - 1;
-                friendly += 1;
-                backslashCount = 0;
-                continue;
+    toggleWrap.on('click', '#rawResponseBtn', async () => {
+        await showPromptInspector(response.raw.text, { readOnly: true, title: 'View the raw response' });
+    });
+
+    // Raw prompt in either view, and the way back into the editor
+    function currentRawText() {
+        return chatView === 'cards' ? cardsRawText() : rawText();
+    }
+    function applyRawText(text) {
+        if (chatView === 'cards') {
+            if (isJson) cardEditor.setMessages(JSON.parse(text));
+            else cardEditor.setText(text);
+        } else {
+            commitEdit();
+            ceSetText(ce, toShown(text).text);
+            commitEdit();
+        }
+        validateNow();
+        updateTokenCounts();
+    }
+
+    async function reviewChanges(confirm) {
+        let current;
+        try {
+            current = currentRawText();
+        } catch (e) {
+            toastr.error(e.message);
+            return false;
+        }
+        const review = await showDiffReview(input, current, { messages: canUseCards, confirm });
+        if (review.text !== current) applyRawText(review.text);
+        return review.confirmed;
+    }
+
+    toggleWrap.on('click', '#reviewChangesBtn', () => reviewChanges(false));
+
+    // Import/export (formats depend on the prompt kind)
+    const fileFormats = isJson ? CHAT_FORMATS : TEXT_FORMATS;
+    const $exportFormat = toggleWrap.find('#exportFormatSelect');
+    for (const format of fileFormats) $('<option>').val(format.id).text(format.label).appendTo($exportFormat);
+    $exportFormat.val(isJson ? getExportFormatDefault() : 'text').toggle(isJson);
+    $exportFormat.on('change', () => setExportFormat(String($exportFormat.val())));
+
+    toggleWrap.on('click', '#exportPromptBtn', () => {
+        try {
+            downloadPrompt(media.expand(currentRawText()), isJson ? String($exportFormat.val()) : 'text');
+        } catch (e) {
+            toastr.error(e.message);
+        }
+    });
+
+    toggleWrap.on('click', '#importPromptBtn', async () => {
+        const accept = isJson ? '.json,.jsonl,.ndjson,.md,.markdown,.txt' : '.txt,text/plain';
+        const file = await pickTextFile(accept);
+        if (!file) return;
+
+        let prompts;
+        try {
+            prompts = importPrompts(file.text, detectFormat(file.name, file.text, isJson));
+        } catch (e) {
+            toastr.error(e.message, `Can't import ${file.name}`);
+            return;
+        }
+
+        let index = 0;
+        if (prompts.length > 1) {
+            const answer = await callGenericPopup(
+                `${file.name} contains ${prompts.length} requests. Which one should be imported? (1-${prompts.length})`,
+                POPUP_TYPE.INPUT, '1',
+            );
+            if (answer === null || answer === false || answer === '') return;
+            index = Number(answer) - 1;
+            if (!Number.isInteger(index) || index < 0 || index >= prompts.length) {
+                toastr.error(`Enter a number from 1 to ${prompts.length}`);
+                return;
             }
-            friendly += backslashCount + 1;
-            backslashCount = 0;
-            continue;
         }
-        if (ch === '"') inStr = true;
-        friendly += 1;
-    }
-    if (backslashCount > 0) friendly += backslashCount;
-    return friendly;
-}
-function mapFriendlyTopToRawIndex(src, friendlyIndex) {
-    let raw = 0;
-    let inStr = false;
-    let backslashCount = 0;
-    for (let i = 0; i < src.length && i < friendlyIndex; i++) {
-        const ch = src[i];
-        if (inStr) {
-            if (ch === '\\') { backslashCount++; raw += 1; continue; }
-            if (ch === '"') {
-                const escaped = (backslashCount % 2) === 1;
-                raw += 1;
-                backslashCount = 0;
-                if (!escaped) inStr = false;
-                continue;
+
+        applyRawText(media.collapse(prompts[index]));
+        toastr.success(`Imported ${file.name}`);
+    });
+    toggleWrap.on('change', '#reviewOnSaveCheckbox', (e) => setReviewOnSave(e.target.checked));
+
+    // Pin option: only for live generations, applied by the caller when saved
+    const canPin = pinned !== undefined && !readOnly;
+    const $pinCheckbox = toggleWrap.find('#pinPromptCheckbox');
+    const $pinMode = toggleWrap.find('#pinModeSelect');
+    if (canPin) {
+        $pinCheckbox.prop('checked', pinned);
+        $pinMode.val(getPinModeDefault()).toggle(pinned);
+        $pinCheckbox.on('change', () => $pinMode.toggle($pinCheckbox.prop('checked')));
+    } else {
+        $pinCheckbox.closest('label').remove();
+        $pinMode.remove();
+    }
+
+    // Save guard: rebuilt/validated prompt before the popup closes
+    let cardsResult = null;
+    let sendOriginal = false;
+    const onClosing = async (popup) => {
+        if (popup.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+        if (canUseCards && !(await confirmValidBeforeSave())) return false;
+        if (sendOriginal) return true;
+
+        if (getReviewOnSave()) {
+            let changed = true;
+            try { changed = currentRawText() !== input; } catch { /* reported by the review */ }
+            if (changed && !(await reviewChanges(true))) return false;
+        }
+
+        if (chatView === 'cards') cardsResult = cardsRawText();
+        return true;
+    };
+
+    async function confirmValidBeforeSave() {
+        if (chatView === 'cards') {
+            try {
+                cardEditor.getMessages();
+                return true;
+            } catch (e) {
+                toastr.error(e.message);
+                return false;
             }
-            if (ch === '\r') { raw += 1; backslashCount = 0; continue; }
-            if (ch === '\n') { raw += 2; backslashCount = 0; continue; }
-            raw += 1; backslashCount = 0; continue;
         }
-        if (ch === '"') inStr = true;
-        raw += 1;
+
+        const validation = validateNow();
+        if (validation.ok) return true;
+        goToError();
+
+        const where = lastError ? ` at line ${lastError.line}, column ${lastError.column}` : '';
+        if (validation.kind === 'syntax') {
+            const discard = await callGenericPopup(
+                `The prompt has a syntax error${where} and can't be sent as edited.<br>${validation.message}<br><br>Discard your edits and send the original prompt?`,
+                POPUP_TYPE.CONFIRM, '', { okButton: 'Send original prompt', cancelButton: 'Keep editing' },
+            );
+            if (discard !== POPUP_RESULT.AFFIRMATIVE) return false;
+            sendOriginal = true;
+            return true;
+        }
+
+        const sendAnyway = await callGenericPopup(
+            `The prompt doesn't look like a list of chat messages${where}.<br>${validation.message}<br><br>Send it anyway?`,
+            POPUP_TYPE.CONFIRM, '', { okButton: 'Send anyway', cancelButton: 'Keep editing' },
+        );
+        return sendAnyway === POPUP_RESULT.AFFIRMATIVE;
     }
-    return raw;
+
+    logTiming(`opened ${startText.length} characters`, openStarted);
+    if (readOnly) {
+        toggleWrap.find('#chatViewToggleBtn, #undoBtn, #redoBtn, #importPromptBtn, #reviewChangesBtn').remove();
+        toggleWrap.find('#reviewOnSaveCheckbox').closest('label').remove();
+        await new Popup(template, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close' }).show();
+        ceClearError();
+        findBar.destroy();
+        outline.destroy();
+        return { text: prompt, outcome: 'unchanged' };
+    }
+
+    const popup = new Popup(
+        template,
+        POPUP_TYPE.CONFIRM,
+        '',
+        {
+            wide: true, large: true, okButton: 'Save changes', cancelButton: 'Discard changes', onClosing,
+            customButtons: response ? (response.canRegenerate ? [regenerateButton] : []) : (canCancel ? [customButton] : []),
+        },
+    );
+    const result = await popup.show();
+    ceClearError();
+    ceClearCacheDifference();
+    findBar.destroy();
+    outline.destroy();
+    if (generationCancelled) return { text: prompt, outcome: 'cancelled' };
+    if (regenerateRequested) return { text: prompt, outcome: 'regenerate' };
+    if (!result || sendOriginal) return { text: prompt, outcome: 'discarded' };
+
+    let finalText;
+    if (chatView === 'cards') finalText = cardsResult;
+    else finalText = rawText();
+    const pin = canPin ? { enabled: $pinCheckbox.prop('checked'), mode: $pinMode.val() === 'verbatim' ? 'verbatim' : 'append' } : undefined;
+    return { text: finalText === input ? prompt : media.expand(finalText), outcome: finalText === input ? 'unchanged' : 'edited', pin };
 }
 
 (function init() {
     addLaunchButton();
+    addToolButtons();
+    registerSlashCommands({
+        getMode: () => inspectMode,
+        setMode: (mode) => setMode(mode, true),
+        getPrompt: (which) => which === 'sent' ? lastSentPrompt : lastCapturedPrompt,
+        viewPrompt: async (prompt) => { await showPromptInspector(prompt.text, { readOnly: true }); },
+        inject: (text, at, role) => {
+            pendingInjection = { text, at, role };
+            if (inspectMode === 'off') setMode('next', true);
+        },
+    });
+    addPinIndicator({ view: async (text) => { await showPromptInspector(text, { readOnly: true }); } });
+    if (getInspectResponses()) installResponseCapture();
+    initMonitor({
+        isIntercepting: () => inspectMode !== 'off',
+        setIntercept: (on) => setMode(on ? 'next' : 'off'),
+        view: async (text) => { await showPromptInspector(text, { readOnly: true }); },
+    });
 })();
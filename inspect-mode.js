@@ -0,0 +1,176 @@
+// inspect-mode.js - Prompt Inspector
+// When the editor pops up: the inspection mode and the auto-inspect filters.
+//
+// Modes: 'off', 'always' (every generation) and 'next' (one popup, then off).
+// When filters are on, only generations matching every filter that is set
+// open the editor (and only those consume the one-shot mode).
+//
+// -----------------------------------------------------------------------------
+
+import { POPUP_TYPE, Popup } from '../../../popup.js';
+
+/** @typedef {'off' | 'always' | 'next'} InspectMode */
+
+/**
+ * @typedef {object} InspectFilters
+ * @property {boolean} enabled
+ * @property {string[]} generationTypes Empty for all
+ * @property {string} characters Comma-separated character/group names, empty for all
+ * @property {string} models Comma-separated API names or model name parts, empty for all
+ * @property {string} contains Text the prompt must contain, empty for any
+ */
+
+/**
+ * @typedef {object} GenerationInfo
+ * @property {string} generationType
+ * @property {string} character Character or group name
+ * @property {string} api
+ * @property {string} model
+ * @property {string} prompt
+ */
+
+export const GENERATION_TYPES = [
+    { id: 'normal', label: 'Normal' },
+    { id: 'continue', label: 'Continue' },
+    { id: 'swipe', label: 'Swipe' },
+    { id: 'regenerate', label: 'Regenerate' },
+    { id: 'impersonate', label: 'Impersonate' },
+    { id: 'quiet', label: 'Quiet (background, summaries, other extensions)' },
+];
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+/** @returns {InspectMode} */
+export function getInspectMode() {
+    const mode = localStorage.getItem('promptInspectorMode');
+    if (mode === 'always' || mode === 'next' || mode === 'off') return mode;
+    // Older versions stored a single boolean
+    return localStorage.getItem('promptInspectorEnabled') === 'true' ? 'always' : 'off';
+}
+
+/** @param {InspectMode} mode */
+export function setInspectMode(mode) {
+    localStorage.setItem('promptInspectorMode', mode);
+    localStorage.setItem('promptInspectorEnabled', String(mode !== 'off'));
+}
+
+/** @returns {InspectFilters} */
+export function loadFilters() {
+    const defaults = { enabled: false, generationTypes: [], characters: '', models: '', contains: '' };
+    try {
+        const stored = JSON.parse(localStorage.getItem('promptInspectorFilters') ?? '{}');
+        return { ...defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+    } catch {
+        return defaults;
+    }
+}
+
+/** @param {InspectFilters} filters */
+export function saveFilters(filters) {
+    localStorage.setItem('promptInspectorFilters', JSON.stringify(filters));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Matching
+// ───────────────────────────────────────────────────────────────────────────────
+function splitList(value) {
+    return String(value ?? '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a generation passes the filters (always true when they are off).
+ * @param {InspectFilters} filters
+ * @param {GenerationInfo} info
+ * @returns {boolean}
+ */
+export function matchesFilters(filters, info) {
+    if (!filters.enabled) return true;
+
+    if (filters.generationTypes?.length && !filters.generationTypes.includes(info.generationType || 'normal')) return false;
+
+    const characters = splitList(filters.characters);
+    if (characters.length && !characters.includes(String(info.character ?? '').toLowerCase())) return false;
+
+    const models = splitList(filters.models);
+    if (models.length) {
+        const api = String(info.api ?? '').toLowerCase();
+        const model = String(info.model ?? '').toLowerCase();
+        if (!models.some(term => term === api || (model && model.includes(term)))) return false;
+    }
+
+    const contains = String(filters.contains ?? '');
+    if (contains && !String(info.prompt ?? '').toLowerCase().includes(contains.toLowerCase())) return false;
+
+    return true;
+}
+
+/**
+ * Short description of the active filters, for the wand menu and toasts.
+ * @param {InspectFilters} filters
+ * @returns {string}
+ */
+export function describeFilters(filters) {
+    if (!filters.enabled) return '';
+    const parts = [];
+    if (filters.generationTypes?.length) parts.push(filters.generationTypes.join('/'));
+    if (splitList(filters.characters).length) parts.push(filters.characters.trim());
+    if (splitList(filters.models).length) parts.push(filters.models.trim());
+    if (filters.contains) parts.push(`"${filters.contains}"`);
+    return parts.join(', ');
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Settings UI
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Popup to edit the auto-inspect filters. Changes are saved as they are made.
+ * @param {{ onChange?: () => void }} [options]
+ */
+export async function showFiltersManager({ onChange } = {}) {
+    const filters = loadFilters();
+
+    const root = $(`
+        <div class="flex-container flexFlowColumn" style="text-align:left;gap:8px;">
+            <h3>Inspection filters</h3>
+            <small>When enabled, the editor only opens for generations matching every filter that is set. Empty filters match everything. "Inspect Next Prompt" waits for the next matching generation.</small>
+            <label class="checkbox_label"><input data-field="enabled" type="checkbox"><span>Only inspect matching generations</span></label>
+            <div class="flex-container flexFlowColumn" data-section="filters">
+                <b>Generation types</b>
+                <div class="flex-container" style="gap:8px;">
+                    ${GENERATION_TYPES.map(g => `<label class="checkbox_label"><input data-type="${g.id}" type="checkbox"><small>${g.label}</small></label>`).join('')}
+                </div>
+                <b>Characters or groups</b>
+                <input data-field="characters" class="text_pole" placeholder="Comma-separated names, e.g. Seraphina, Adventure Party" style="margin:0;">
+                <b>APIs or models</b>
+                <input data-field="models" class="text_pole" placeholder="Comma-separated API names (openai, textgenerationwebui) or model name parts (gpt-4o, claude)" style="margin:0;">
+                <b>Prompt contains</b>
+                <input data-field="contains" class="text_pole monospace" placeholder="Text the prompt must contain (case-insensitive)" style="margin:0;">
+            </div>
+        </div>
+    `);
+
+    root.find('[data-field="enabled"]').prop('checked', filters.enabled);
+    for (const field of ['characters', 'models', 'contains']) root.find(`[data-field="${field}"]`).val(filters[field] ?? '');
+    root.find('[data-type]').each((_, el) => { $(el).prop('checked', filters.generationTypes.includes(el.dataset.type)); });
+    const syncSection = () => root.find('[data-section="filters"]').css('opacity', filters.enabled ? '' : '0.55');
+    syncSection();
+
+    const persist = () => {
+        saveFilters(filters);
+        onChange?.();
+    };
+    root.on('input change', '[data-field]', (e) => {
+        const field = e.target.dataset.field;
+        filters[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        syncSection();
+        persist();
+    });
+    root.on('change', '[data-type]', () => {
+        filters.generationTypes = root.find('[data-type]:checked').toArray().map(el => el.dataset.type);
+        persist();
+    });
+
+    const popup = new Popup(root, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true, okButton: 'Close' });
+    await popup.show();
+}
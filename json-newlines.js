@@ -0,0 +1,400 @@
+// json-newlines.js - Prompt Inspector
+// Transforms between the raw JSON view and the friendly view. Only characters
+// inside quoted JSON strings are touched.
+//
+// The friendly view shows string escapes as the characters they stand for
+// (\n, \r, \t, \/, \uXXXX incl. surrogate pairs). Only \\ and \" stay escaped,
+// so string boundaries remain unambiguous, and so do escapes of characters a
+// browser can't hold or show (\b, \f, other control characters, lone surrogates).
+// Any other backslash is kept as is, so escapes can still be typed, and even
+// invalid or unterminated input round-trips unchanged.
+//
+// Saving re-encodes the way JSON.stringify does, so prompts produced by it
+// (every Chat Completion prompt) round-trip exactly.
+//
+// Given the previous result, a transform only rescans the region that was
+// edited since, so typing into a long prompt stays cheap.
+//
+// -----------------------------------------------------------------------------
+
+export function isLikelyJson(s) {
+    if (!s || typeof s !== 'string') return false;
+    const t = s.trim();
+    return t.startsWith('{') || t.startsWith('[');
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Pieces: [source length, output, verbatim] for the special character at i inside a string
+// ───────────────────────────────────────────────────────────────────────────────
+const HEX4 = /^[0-9a-fA-F]{4}$/;
+const SHORT_DECODE = { n: '\n', r: '\r', t: '\t', '/': '/' };
+const SHORT_ENCODE = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+const isHigh = (c) => c >= 0xD800 && c <= 0xDBFF;
+const isLow = (c) => c >= 0xDC00 && c <= 0xDFFF;
+const unicodeEscape = (c) => '\\u' + c.toString(16).padStart(4, '0');
+
+function hex4At(src, i) {
+    const hex = src.slice(i, i + 4);
+    return HEX4.test(hex) ? parseInt(hex, 16) : -1;
+}
+
+function decodePiece(src, i) {
+    const next = src[i + 1];
+    if (next === '\\' || next === '"' || next === 'b' || next === 'f') return [2, src.slice(i, i + 2), true];
+    if (next in SHORT_DECODE) return [2, SHORT_DECODE[next], false];
+
+    if (next === 'u') {
+        const code = hex4At(src, i + 2);
+        if (code !== -1) {
+            if (isHigh(code) && src[i + 6] === '\\' && src[i + 7] === 'u') {
+                const low = hex4At(src, i + 8);
+                if (isLow(low)) return [12, String.fromCharCode(code, low), false];
+            }
+            if (isHigh(code) || isLow(code)) return [6, src.slice(i, i + 6), true];
+            if (code < 0x20) {
+                const ch = String.fromCharCode(code);
+                return ch in SHORT_ENCODE ? [6, ch, false] : [6, src.slice(i, i + 6), true];
+            }
+            if (code === 0x22) return [6, '\\"', false];
+            if (code === 0x5C) return [6, '\\\\', false];
+            return [6, String.fromCharCode(code), false];
+        }
+    }
+
+    // Not a valid escape: shown as a literal backslash
+    return [1, '\\', true];
+}
+
+function encodePiece(src, i) {
+    const ch = src[i];
+    const code = src.charCodeAt(i);
+
+    if (ch === '\\') {
+        const next = src[i + 1];
+        if (next === '\\' || next === '"' || next === 'b' || next === 'f') return [2, src.slice(i, i + 2), true];
+        if (next === 'u' && hex4At(src, i + 2) !== -1) return [6, src.slice(i, i + 6), true];
+        // Anything else is kept as typed (an escape like \n, or an invalid one the validator reports)
+        return [1, '\\', true];
+    }
+    if (code < 0x20) return [1, SHORT_ENCODE[ch] ?? unicodeEscape(code), false];
+    if (isHigh(code) && isLow(src.charCodeAt(i + 1))) return [2, src.slice(i, i + 2), true];
+    return [1, unicodeEscape(code), false]; // lone surrogate
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Segment map
+// ───────────────────────────────────────────────────────────────────────────────
+// One scan of the source produces the output and a list of segments: runs of
+// text copied verbatim (same length on both sides) and single escapes. Offsets
+// map exactly with a binary search; inside an escape they snap to its start
+// (or its end with bias 'end', so selections keep the whole escape).
+
+/**
+ * @typedef {object} SegmentMap
+ * @property {number} sourceLength
+ * @property {number} outputLength
+ * @property {(offset: number, bias?: 'start' | 'end') => number} toOutput
+ * @property {(offset: number, bias?: 'start' | 'end') => number} toSource
+ * @property {(range: { start: number, end: number }) => { start: number, end: number }} rangeToOutput
+ * @property {(range: { start: number, end: number }) => { start: number, end: number }} rangeToSource
+ */
+
+function createSegmentMap(sourceStarts, outputStarts, verbatim, sourceLength, outputLength) {
+    const count = sourceStarts.length;
+
+    // Index of the last segment starting at or before offset
+    const locate = (starts, offset) => {
+        let lo = 0;
+        let hi = count - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    };
+
+    const map = (fromStarts, toStarts, fromLength, toLength, offset, bias) => {
+        if (offset <= 0 || count === 0) return 0;
+        if (offset >= fromLength) return toLength;
+        const k = locate(fromStarts, offset);
+        const delta = offset - fromStarts[k];
+        if (verbatim[k] || delta === 0) return toStarts[k] + (verbatim[k] ? delta : 0);
+        if (bias !== 'end') return toStarts[k];
+        return k + 1 < count ? toStarts[k + 1] : toLength;
+    };
+
+    const toOutput = (offset, bias = 'start') => map(sourceStarts, outputStarts, sourceLength, outputLength, offset, bias);
+    const toSource = (offset, bias = 'start') => map(outputStarts, sourceStarts, outputLength, sourceLength, offset, bias);
+    return {
+        sourceLength,
+        outputLength,
+        toOutput,
+        toSource,
+        rangeToOutput: ({ start, end }) => ({ start: toOutput(start), end: toOutput(end, end > start ? 'end' : 'start') }),
+        rangeToSource: ({ start, end }) => ({ start: toSource(start), end: toSource(end, end > start ? 'end' : 'start') }),
+    };
+}
+
+function identity(src) {
+    return { text: src, map: createSegmentMap([0], [0], [1], src.length, src.length) };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Scanner
+// ───────────────────────────────────────────────────────────────────────────────
+// Runs between special characters are found with one regex/indexOf call each,
+// so long plain stretches cost no per-character JavaScript. Every position
+// outside a string is a checkpoint: the scan can restart there, and a rescan
+// can stop there once it is back in text that didn't change.
+
+const DECODE = { special: /[\\"]/g, piece: decodePiece };
+const ENCODE = { special: /[\\"\u0000-\u001f\ud800-\udfff]/g, piece: encodePiece };
+
+/**
+ * Scans src from offset start (outside any string), writing output from outStart.
+ * Stops at the end, or at the first checkpoint for which stopAt returns true.
+ */
+function scanFrom(src, codec, start, outStart, stopAt) {
+    const part = { sourceStarts: [], outputStarts: [], verbatim: [], checkpoints: [], checkpointOutputs: [], chunks: [], end: src.length, outEnd: 0 };
+    const special = codec.special;
+    const n = src.length;
+    let out = outStart;
+    let runStart = -1; // start of the verbatim run being copied
+
+    const openRun = (at) => {
+        if (runStart !== -1) return;
+        runStart = at;
+        part.sourceStarts.push(at);
+        part.outputStarts.push(out);
+        part.verbatim.push(1);
+    };
+    const closeRun = (at) => {
+        if (runStart === -1) return;
+        part.chunks.push(src.slice(runStart, at));
+        out += at - runStart;
+        runStart = -1;
+    };
+
+    let i = start;
+    let inStr = false;
+    while (i < n) {
+        if (!inStr) {
+            if (stopAt && i > start && stopAt(i)) {
+                part.end = i;
+                break;
+            }
+            part.checkpoints.push(i);
+            part.checkpointOutputs.push(runStart === -1 ? out : out + i - runStart);
+            openRun(i);
+            const quote = src.indexOf('"', i);
+            if (quote === -1) {
+                i = n;
+                break;
+            }
+            i = quote + 1;
+            inStr = true;
+            continue;
+        }
+
+        special.lastIndex = i;
+        const next = special.test(src) ? special.lastIndex - 1 : n;
+        if (next > i) {
+            openRun(i);
+            i = next;
+            if (i === n) break;
+        }
+        if (src.charCodeAt(i) === 0x22) {
+            openRun(i);
+            i++;
+            inStr = false;
+            continue;
+        }
+
+        const [len, text, isVerbatim] = codec.piece(src, i);
+        if (isVerbatim) {
+            openRun(i);
+        } else {
+            closeRun(i);
+            part.sourceStarts.push(i);
+            part.outputStarts.push(out);
+            part.verbatim.push(0);
+            part.chunks.push(text);
+            out += text.length;
+        }
+        i += len;
+    }
+    closeRun(i);
+    part.outEnd = out;
+    return part;
+}
+
+function toResult(codec, source, text, segments) {
+    const { sourceStarts, outputStarts, verbatim } = segments;
+    return {
+        text,
+        map: createSegmentMap(sourceStarts, outputStarts, verbatim, source.length, text.length),
+        codec,
+        source,
+        segments,
+    };
+}
+
+// Index of the last value at or before offset in a sorted array (-1 if none)
+function lastAtOrBefore(values, offset) {
+    let lo = 0;
+    let hi = values.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[mid] <= offset) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * The single scanner behind every transform and mapping.
+ * Text outside strings and the quotes themselves are copied verbatim.
+ * With the result of an earlier scan, only the edited region is scanned again:
+ * from the last checkpoint before the first change up to the first checkpoint
+ * in the unchanged tail; everything else is reused and shifted.
+ */
+function scan(src, codec, previous) {
+    if (!previous || previous.codec !== codec) {
+        const part = scanFrom(src, codec, 0, 0, null);
+        return toResult(codec, src, part.chunks.join(''), {
+            sourceStarts: new Int32Array(part.sourceStarts),
+            outputStarts: new Int32Array(part.outputStarts),
+            verbatim: new Uint8Array(part.verbatim),
+            checkpoints: new Int32Array(part.checkpoints),
+            checkpointOutputs: new Int32Array(part.checkpointOutputs),
+        });
+    }
+
+    const old = previous.source;
+    if (old === src) return previous;
+    const prev = previous.segments;
+
+    // Unchanged prefix and suffix (compared in blocks first, slices don't copy)
+    const shortest = Math.min(old.length, src.length);
+    const BLOCK = 4096;
+    let prefix = 0;
+    while (prefix + BLOCK <= shortest && old.slice(prefix, prefix + BLOCK) === src.slice(prefix, prefix + BLOCK)) prefix += BLOCK;
+    while (prefix < shortest && old.charCodeAt(prefix) === src.charCodeAt(prefix)) prefix++;
+    let suffix = 0;
+    while (suffix + BLOCK <= shortest - prefix && old.slice(old.length - suffix - BLOCK, old.length - suffix) === src.slice(src.length - suffix - BLOCK, src.length - suffix)) suffix += BLOCK;
+    while (suffix < shortest - prefix && old.charCodeAt(old.length - 1 - suffix) === src.charCodeAt(src.length - 1 - suffix)) suffix++;
+
+    const delta = src.length - old.length;
+    const restart = Math.max(0, lastAtOrBefore(prev.checkpoints, prefix));
+    const from = prev.checkpoints[restart] ?? 0;
+    const outFrom = prev.checkpointOutputs[restart] ?? 0;
+    const tailFrom = src.length - suffix;
+    const part = scanFrom(src, codec, from, outFrom, (i) => {
+        if (i < tailFrom) return false;
+        const k = lastAtOrBefore(prev.checkpoints, i - delta);
+        return k !== -1 && prev.checkpoints[k] === i - delta;
+    });
+
+    // Old segments and checkpoints before the restart, the rescanned part, then the shifted tail
+    const keepSegments = lastAtOrBefore(prev.sourceStarts, from - 1) + 1;
+    const keepCheckpoints = restart;
+    let tailSegment = prev.sourceStarts.length;
+    let tailCheckpoint = prev.checkpoints.length;
+    let tailOutput = previous.text.length;
+    if (part.end < src.length) {
+        const oldEnd = part.end - delta;
+        tailCheckpoint = lastAtOrBefore(prev.checkpoints, oldEnd);
+        tailOutput = prev.checkpointOutputs[tailCheckpoint];
+        tailSegment = lastAtOrBefore(prev.sourceStarts, oldEnd) + 1;
+    }
+    const hasTail = part.end < src.length;
+    const outDelta = part.outEnd - tailOutput;
+
+    const segmentCount = keepSegments + part.sourceStarts.length + (hasTail ? 1 : 0) + (prev.sourceStarts.length - tailSegment);
+    const sourceStarts = new Int32Array(segmentCount);
+    const outputStarts = new Int32Array(segmentCount);
+    const verbatim = new Uint8Array(segmentCount);
+    sourceStarts.set(prev.sourceStarts.subarray(0, keepSegments));
+    outputStarts.set(prev.outputStarts.subarray(0, keepSegments));
+    verbatim.set(prev.verbatim.subarray(0, keepSegments));
+    let k = keepSegments;
+    for (let j = 0; j < part.sourceStarts.length; j++, k++) {
+        sourceStarts[k] = part.sourceStarts[j];
+        outputStarts[k] = part.outputStarts[j];
+        verbatim[k] = part.verbatim[j];
+    }
+    if (hasTail) {
+        // The tail starts outside a string, i.e. in a verbatim run
+        sourceStarts[k] = part.end;
+        outputStarts[k] = part.outEnd;
+        verbatim[k] = 1;
+        k++;
+        for (let j = tailSegment; j < prev.sourceStarts.length; j++, k++) {
+            sourceStarts[k] = prev.sourceStarts[j] + delta;
+            outputStarts[k] = prev.outputStarts[j] + outDelta;
+            verbatim[k] = prev.verbatim[j];
+        }
+    }
+
+    const tailCheckpoints = hasTail ? prev.checkpoints.length - tailCheckpoint : 0;
+    const checkpointCount = keepCheckpoints + part.checkpoints.length + tailCheckpoints;
+    const checkpoints = new Int32Array(checkpointCount);
+    const checkpointOutputs = new Int32Array(checkpointCount);
+    checkpoints.set(prev.checkpoints.subarray(0, keepCheckpoints));
+    checkpointOutputs.set(prev.checkpointOutputs.subarray(0, keepCheckpoints));
+    checkpoints.set(part.checkpoints, keepCheckpoints);
+    checkpointOutputs.set(part.checkpointOutputs, keepCheckpoints);
+    for (let j = 0; j < tailCheckpoints; j++) {
+        checkpoints[keepCheckpoints + part.checkpoints.length + j] = prev.checkpoints[tailCheckpoint + j] + delta;
+        checkpointOutputs[keepCheckpoints + part.checkpoints.length + j] = prev.checkpointOutputs[tailCheckpoint + j] + outDelta;
+    }
+
+    const text = previous.text.slice(0, outFrom) + part.chunks.join('') + (hasTail ? previous.text.slice(tailOutput) : '');
+    return toResult(codec, src, text, { sourceStarts, outputStarts, verbatim, checkpoints, checkpointOutputs });
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public transforms (inside quoted JSON strings only)
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * @typedef {object} TransformResult
+ * @property {string} text
+ * @property {SegmentMap} map
+ */
+
+/**
+ * Raw JSON → friendly view, with the map from raw (source) to friendly (output) offsets.
+ * @param {string} raw
+ * @param {TransformResult} [previous] An earlier result: only the edited region is decoded again
+ * @returns {TransformResult}
+ */
+export function decodeJsonStrings(raw, previous) {
+    return isLikelyJson(raw) ? scan(raw, DECODE, previous) : identity(raw);
+}
+
+/**
+ * Friendly view → raw JSON, with the map from friendly (source) to raw (output) offsets.
+ * @param {string} friendly
+ * @param {TransformResult} [previous] An earlier result: only the edited region is encoded again
+ * @returns {TransformResult}
+ */
+export function encodeJsonStrings(friendly, previous) {
+    return isLikelyJson(friendly) ? scan(friendly, ENCODE, previous) : identity(friendly);
+}
+
+/** Raw JSON → friendly view */
+export function jsonStringsDisplayNewlines(src) {
+    return decodeJsonStrings(src).text;
+}
+
+/** Friendly view → raw JSON */
+export function jsonStringsSaveNewlines(src) {
+    return encodeJsonStrings(src).text;
+}
@@ -0,0 +1,216 @@
+// json-validation.js - Prompt Inspector
+// Position-aware JSON syntax check and Chat Completion prompt shape check.
+//
+// JSON.parse error messages differ between browsers and don't always carry a
+// position, so we run our own scanner to locate the first syntax error exactly.
+//
+// -----------------------------------------------------------------------------
+
+class JsonScanError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.offset = offset;
+    }
+}
+
+const ESCAPABLE = new Set(['"', '\\', '/', 'b', 'f', 'n', 'r', 't']);
+const HEX = /[0-9a-fA-F]/;
+
+function describe(ch) {
+    if (ch === undefined) return 'end of input';
+    if (ch === '\n') return 'line break';
+    if (ch === '\t') return 'tab';
+    return `'${ch}'`;
+}
+
+/**
+ * Scans a JSON document without building values.
+ * @param {string} text
+ * @returns {{ error: { offset: number, message: string } | null, elementOffsets: number[] }}
+ *  `elementOffsets` holds the start offset of each top-level array element.
+ */
+export function scanJson(text) {
+    let i = 0;
+    const elementOffsets = [];
+
+    const fail = (message, at = i) => { throw new JsonScanError(message, at); };
+    const skipWs = () => {
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t') i++;
+            else break;
+        }
+    };
+    const expect = (ch) => {
+        if (text[i] !== ch) fail(`Expected '${ch}' but found ${describe(text[i])}`);
+        i++;
+    };
+
+    function scanString() {
+        const start = i;
+        i++; // opening quote
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') { i++; return; }
+            if (ch === '\\') {
+                const next = text[i + 1];
+                if (next === 'u') {
+                    for (let k = 2; k < 6; k++) {
+                        if (!HEX.test(text[i + k] ?? '')) fail('Invalid \\u escape, expected 4 hex digits', i);
+                    }
+                    i += 6;
+                    continue;
+                }
+                if (!ESCAPABLE.has(next)) fail(`Invalid escape sequence '\\${next ?? ''}'`, i);
+                i += 2;
+                continue;
+            }
+            if (ch < ' ') fail(`Unescaped ${describe(ch)} inside a string`);
+            i++;
+        }
+        fail('Unterminated string', start);
+    }
+
+    function scanNumber() {
+        const start = i;
+        if (text[i] === '-') i++;
+        if (text[i] === '0') i++;
+        else if (text[i] >= '1' && text[i] <= '9') while (text[i] >= '0' && text[i] <= '9') i++;
+        else fail('Invalid number', start);
+        if (text[i] === '.') {
+            i++;
+            if (!(text[i] >= '0' && text[i] <= '9')) fail('Invalid number, expected a digit after the decimal point');
+            while (text[i] >= '0' && text[i] <= '9') i++;
+        }
+        if (text[i] === 'e' || text[i] === 'E') {
+            i++;
+            if (text[i] === '+' || text[i] === '-') i++;
+            if (!(text[i] >= '0' && text[i] <= '9')) fail('Invalid number, expected a digit in the exponent');
+            while (text[i] >= '0' && text[i] <= '9') i++;
+        }
+    }
+
+    function scanLiteral(word) {
+        if (text.startsWith(word, i)) { i += word.length; return; }
+        fail(`Unexpected ${describe(text[i])}`);
+    }
+
+    function scanProperty() {
+        skipWs();
+        if (text[i] !== '"') fail(`Expected a property name but found ${describe(text[i])}`);
+        scanString();
+        skipWs();
+        expect(':');
+    }
+
+    // Open objects and arrays are kept on a stack rather than the call stack, so deeply nested
+    // values are reported like any other JSON instead of overflowing it
+    function scanDocument() {
+        /** @type {('{' | '[')[]} */
+        const open = [];
+        while (true) {
+            skipWs();
+            const ch = text[i];
+            let scalar = true;
+            if (ch === '{' || ch === '[') {
+                const close = ch === '{' ? '}' : ']';
+                i++;
+                skipWs();
+                if (text[i] === close) {
+                    i++;
+                } else {
+                    open.push(ch);
+                    scalar = false;
+                    if (ch === '{') scanProperty();
+                    else if (open.length === 1) elementOffsets.push(i);
+                }
+            } else if (ch === '"') scanString();
+            else if (ch === 't') scanLiteral('true');
+            else if (ch === 'f') scanLiteral('false');
+            else if (ch === 'n') scanLiteral('null');
+            else if (ch === '-' || (ch >= '0' && ch <= '9')) scanNumber();
+            else fail(`Unexpected ${describe(ch)}, expected a value`);
+            if (!scalar) continue;
+
+            // A value ended: close the containers it ends, up to the next one that goes on
+            while (open.length) {
+                const top = open[open.length - 1];
+                const close = top === '{' ? '}' : ']';
+                skipWs();
+                if (text[i] === ',') {
+                    i++;
+                    skipWs();
+                    if (text[i] === close) fail(`Trailing comma before '${close}'`);
+                    if (top === '{') scanProperty();
+                    else if (open.length === 1) elementOffsets.push(i);
+                    break;
+                }
+                if (text[i] !== close) fail(`Expected ',' or '${close}' but found ${describe(text[i])}`);
+                i++;
+                open.pop();
+            }
+            if (!open.length) return;
+        }
+    }
+
+    try {
+        scanDocument();
+        skipWs();
+        if (i < text.length) fail(`Unexpected ${describe(text[i])} after the end of the JSON value`);
+        return { error: null, elementOffsets };
+    } catch (e) {
+        if (!(e instanceof JsonScanError)) throw e;
+        return { error: { offset: Math.min(e.offset, text.length), message: e.message }, elementOffsets };
+    }
+}
+
+/**
+ * Checks that a raw prompt is a JSON array of `{ role, content }` objects (content may be missing next to tool calls).
+ * @param {string} text Raw JSON (with escaped newlines)
+ * @returns {{ ok: true, messages: object[] } | { ok: false, kind: 'syntax' | 'schema', offset: number, message: string }}
+ */
+export function validateChatPrompt(text) {
+    const scan = scanJson(text);
+    if (scan.error) return { ok: false, kind: 'syntax', ...scan.error };
+
+    const value = JSON.parse(text);
+    if (!Array.isArray(value)) {
+        return { ok: false, kind: 'schema', offset: text.search(/\S/), message: 'The prompt must be a JSON array of messages' };
+    }
+
+    for (let index = 0; index < value.length; index++) {
+        const message = value[index];
+        const offset = scan.elementOffsets[index] ?? 0;
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return { ok: false, kind: 'schema', offset, message: `Message #${index} is not an object` };
+        }
+        if (typeof message.role !== 'string' || !message.role) {
+            return { ok: false, kind: 'schema', offset, message: `Message #${index} has no "role"` };
+        }
+        // Assistant messages with tool calls may have no content at all (undefined is dropped by JSON.stringify)
+        const hasToolCalls = Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+        if (!('content' in message) && !hasToolCalls) {
+            return { ok: false, kind: 'schema', offset, message: `Message #${index} has no "content"` };
+        }
+        const content = message.content;
+        if (content !== undefined && typeof content !== 'string' && !Array.isArray(content) && content !== null) {
+            return { ok: false, kind: 'schema', offset, message: `Message #${index} "content" must be a string or an array of parts` };
+        }
+    }
+
+    return { ok: true, messages: value };
+}
+
+/**
+ * Converts an offset into 1-based line and column numbers.
+ * @param {string} text
+ * @param {number} offset
+ */
+export function offsetToLineColumn(text, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < text.length; i++) {
+        if (text[i] === '\n') { line++; lineStart = i + 1; }
+    }
+    return { line, column: offset - lineStart + 1 };
+}
@@ -0,0 +1,79 @@
+// media.js - Prompt Inspector
+// Inline media (base64 data URLs) in Chat Completion prompts.
+//
+// Images and audio attached to messages are sent as data URLs inside the JSON,
+// so one picture can make the prompt megabytes long. The editor works on the
+// prompt with every long data URL replaced by a short placeholder that keeps
+// its media type (data:image/png;base64,⟦media 1, 1.2 MB⟧); the full URLs are
+// kept in a store and put back verbatim on save, export and token counting.
+// A placeholder that is deleted removes the media, one that is copied repeats it.
+//
+// -----------------------------------------------------------------------------
+
+/** Shorter data URLs stay in the prompt as they are */
+const MEDIA_MIN_LENGTH = 1024;
+
+const DATA_URL = new RegExp(`"(data:[\\w.+-]+/[\\w.+-]+(?:;[\\w.+-]+=[\\w.+-]+)*;base64,)([A-Za-z0-9+/=]{${MEDIA_MIN_LENGTH},})"`, 'g');
+const PLACEHOLDER = /(data:[\w.+-]+\/[\w.+-]+(?:;[\w.+-]+=[\w.+-]+)*;base64,)⟦media (\d+)(?:, [^⟧]*)?⟧/g;
+
+function formatBytes(base64Length) {
+    const bytes = Math.floor(base64Length * 3 / 4);
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Creates a store for the media of one editor session.
+ * @returns {{ size: () => number, collapse: (text: string) => string, expand: (text: string) => string, resolve: (url: string) => string, add: (dataUrl: string) => string }}
+ */
+export function createMediaStore() {
+    /** @type {string[]} full data URLs, placeholder n is at n - 1 */
+    const urls = [];
+    /** @type {Map<string, number>} */
+    const ids = new Map();
+
+    function add(dataUrl) {
+        let id = ids.get(dataUrl);
+        if (id === undefined) {
+            urls.push(dataUrl);
+            id = urls.length;
+            ids.set(dataUrl, id);
+        }
+        const comma = dataUrl.indexOf(',');
+        return `${dataUrl.slice(0, comma + 1)}⟦media ${id}, ${formatBytes(dataUrl.length - comma - 1)}⟧`;
+    }
+
+    return {
+        size: () => urls.length,
+        /** Replaces long data URLs in JSON string values with placeholders */
+        collapse: (text) => text.replace(DATA_URL, (_, head, data) => `"${add(head + data)}"`),
+        /** Puts the data URLs back; placeholders that aren't in the store stay as typed */
+        expand: (text) => urls.length ? text.replace(PLACEHOLDER, (match, _head, id) => urls[Number(id) - 1] ?? match) : text,
+        /** Full URL for a placeholder URL (for thumbnails), other URLs as they are */
+        resolve: (url) => urls.length ? url.replace(PLACEHOLDER, (match, _head, id) => urls[Number(id) - 1] ?? match) : url,
+        add,
+    };
+}
+
+/**
+ * Lets the user pick a file and reads it as a data URL.
+ * @param {string} accept
+ * @returns {Promise<{ name: string, dataUrl: string } | null>}
+ */
+export function pickDataUrlFile(accept) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (!file) return resolve(null);
+            const reader = new FileReader();
+            reader.onload = () => resolve({ name: file.name, dataUrl: String(reader.result) });
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(file);
+        }, { once: true });
+        input.addEventListener('cancel', () => resolve(null), { once: true });
+        input.click();
+    });
+}
@@ -0,0 +1,251 @@
+// monitor.js - Prompt Inspector
+// Live monitor: a docked panel listing the prompts as they are sent.
+//
+// The panel never blocks a generation. Each prompt that leaves the hooks while
+// the panel is open is added at the top with the time, API/model, generation
+// type, character and size; opening an entry shows the prompt with the same
+// line break toggle as the editor. "Intercept next" turns on the one-shot
+// inspection mode, so the next prompt opens the (blocking) editor again.
+// Nothing is recorded while the panel is closed.
+//
+// -----------------------------------------------------------------------------
+
+import { copyText } from '../../../utils.js';
+import { jsonStringsDisplayNewlines } from './json-newlines.js';
+
+/** Prompts kept in the panel; older ones are dropped */
+const MAX_ENTRIES = 30;
+
+const DOCK_SIDES = ['right', 'left', 'bottom'];
+
+/**
+ * @typedef {object} MonitorEntry
+ * @property {number} timestamp
+ * @property {string} text Prompt as sent
+ * @property {boolean} isChat Whether the prompt is a JSON message array
+ * @property {number} [messages] Chat Completion: number of messages
+ * @property {string} api
+ * @property {string} model
+ * @property {string} generationType
+ * @property {string} character
+ * @property {boolean} edited Changed by rules, edits or a pin since it was generated
+ */
+
+/** @type {MonitorEntry[]} */
+const entries = [];
+let panel = null;
+let options = null;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+export function getMonitorVisible() {
+    return localStorage.getItem('promptInspectorMonitor') === 'true';
+}
+function setMonitorVisible(v) {
+    localStorage.setItem('promptInspectorMonitor', String(v));
+}
+
+function getDockSide() {
+    const side = localStorage.getItem('promptInspectorMonitorDock');
+    return DOCK_SIDES.includes(side) ? side : 'right';
+}
+function setDockSide(v) {
+    localStorage.setItem('promptInspectorMonitorDock', v);
+}
+
+// Same choice as the editor and the history
+function getShowNewlines() {
+    return localStorage.getItem('promptInspectorShowNewlines') !== 'false';
+}
+function setShowNewlines(v) {
+    localStorage.setItem('promptInspectorShowNewlines', String(v));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Panel
+// ───────────────────────────────────────────────────────────────────────────────
+function formatSize(entry) {
+    const n = entry.text.length;
+    const size = n >= 1024 ? `${(n / 1024).toFixed(1)} KB` : `${n} chars`;
+    return entry.isChat && entry.messages !== undefined ? `${size}, ${entry.messages} messages` : size;
+}
+
+function describeEntry(entry) {
+    return [
+        new Date(entry.timestamp).toLocaleTimeString(),
+        `${entry.api}${entry.model ? ` / ${entry.model}` : ''}`,
+        entry.generationType || 'normal',
+        entry.character,
+        formatSize(entry),
+        entry.edited && 'edited',
+    ].filter(Boolean).join(' · ');
+}
+
+function shownText(entry) {
+    return entry.isChat && getShowNewlines() ? jsonStringsDisplayNewlines(entry.text) : entry.text;
+}
+
+function buildPanel() {
+    const root = $(`
+        <div id="promptInspectorMonitor" class="prompt-inspector-monitor flex-container flexFlowColumn flexNoGap">
+            <div class="prompt-inspector-monitor-header flex-container alignItemsCenter">
+                <b class="flex1">Prompt Monitor</b>
+                <label class="checkbox_label" title="Open the editor for the next prompt (pauses that generation until you save)">
+                    <input data-field="intercept" type="checkbox">
+                    <small>Intercept next</small>
+                </label>
+                <div data-action="newlines" class="menu_button menu_button_icon" title="Toggle between raw (\\n) and real line breaks"><i class="fa-solid fa-eye"></i></div>
+                <select data-field="dock" class="text_pole" style="width:auto;margin:0;" title="Dock the panel">
+                    <option value="right">Right</option>
+                    <option value="left">Left</option>
+                    <option value="bottom">Bottom</option>
+                </select>
+                <div data-action="clear" class="menu_button menu_button_icon" title="Clear the list"><i class="fa-solid fa-trash-can"></i></div>
+                <div data-action="close" class="menu_button menu_button_icon" title="Close the monitor"><i class="fa-solid fa-xmark"></i></div>
+            </div>
+            <div class="prompt-inspector-monitor-list flex1"></div>
+        </div>
+    `);
+
+    root.find('[data-field="dock"]').val(getDockSide()).on('change', (e) => {
+        setDockSide(String($(e.target).val()));
+        applyDock();
+    });
+    root.find('[data-field="intercept"]').on('change', (e) => options?.setIntercept(e.target.checked));
+    root.on('click', '.prompt-inspector-monitor-header [data-action]', (e) => {
+        switch ($(e.currentTarget).data('action')) {
+            case 'newlines':
+                setShowNewlines(!getShowNewlines());
+                renderNewlinesButton();
+                root.find('.prompt-inspector-monitor-entry[open]').each((_, el) => fillEntry($(el)));
+                break;
+            case 'clear':
+                entries.length = 0;
+                renderList();
+                break;
+            case 'close':
+                toggleMonitor(false);
+                break;
+        }
+    });
+
+    // Prompts are only laid out when their entry is opened ('toggle' doesn't bubble)
+    root.get(0).addEventListener('toggle', (e) => {
+        const target = e.target instanceof HTMLDetailsElement ? e.target : null;
+        if (target?.open) fillEntry($(target));
+    }, true);
+    root.on('click', '.prompt-inspector-monitor-entry [data-action]', async (e) => {
+        const entry = entries.find(x => x.timestamp === Number($(e.currentTarget).closest('details').data('timestamp')));
+        if (!entry) return;
+        if ($(e.currentTarget).data('action') === 'copy') {
+            await copyText(entry.text);
+            toastr.info('Prompt copied');
+        } else {
+            await options?.view(entry.text);
+        }
+    });
+    return root;
+}
+
+function fillEntry($entry) {
+    const entry = entries.find(x => x.timestamp === Number($entry.data('timestamp')));
+    if (entry) $entry.find('pre').text(shownText(entry));
+}
+
+function renderNewlinesButton() {
+    panel?.find('[data-action="newlines"] i').attr('class', getShowNewlines() ? 'fa-solid fa-eye-slash' : 'fa-solid fa-eye');
+}
+
+function buildEntry(entry) {
+    const item = $(`
+        <details class="prompt-inspector-monitor-entry">
+            <summary></summary>
+            <div class="flex-container" style="gap:4px;margin:4px 0;">
+                <div data-action="view" class="menu_button menu_button_icon" title="Open in a read-only editor with find and the outline"><i class="fa-solid fa-up-right-from-square"></i><span>View</span></div>
+                <div data-action="copy" class="menu_button menu_button_icon" title="Copy the prompt as sent"><i class="fa-solid fa-copy"></i><span>Copy</span></div>
+            </div>
+            <pre class="monospace"></pre>
+        </details>
+    `);
+    item.attr('data-timestamp', entry.timestamp);
+    item.find('summary').text(describeEntry(entry));
+    return item;
+}
+
+function renderList() {
+    if (!panel) return;
+    const $list = panel.find('.prompt-inspector-monitor-list').empty();
+    if (!entries.length) $list.append($('<div style="opacity:0.7;padding:8px;">').text('Prompts appear here as they are sent'));
+    for (const entry of entries) $list.append(buildEntry(entry));
+}
+
+function applyDock() {
+    if (!panel) return;
+    for (const side of DOCK_SIDES) panel.toggleClass(`prompt-inspector-monitor-${side}`, side === getDockSide());
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Sets up the monitor; it opens again if it was open before the reload.
+ * @param {object} value
+ * @param {() => boolean} value.isIntercepting Whether the next prompt opens the editor
+ * @param {(on: boolean) => void} value.setIntercept
+ * @param {(text: string) => Promise<void>} value.view Opens a prompt read-only
+ */
+export function initMonitor(value) {
+    options = value;
+    if (getMonitorVisible()) toggleMonitor(true);
+}
+
+/**
+ * Shows or hides the panel.
+ * @param {boolean} [visible] Toggles when omitted
+ */
+export function toggleMonitor(visible = !panel) {
+    setMonitorVisible(visible);
+    if (!visible) {
+        panel?.remove();
+        panel = null;
+        // Prompts can be megabytes each; nothing is kept while the panel is closed
+        entries.length = 0;
+        return;
+    }
+    if (panel) return;
+    panel = buildPanel();
+    $(document.body).append(panel);
+    applyDock();
+    renderNewlinesButton();
+    renderList();
+    refreshMonitor();
+}
+
+/** Syncs the intercept switch with the inspection mode */
+export function refreshMonitor() {
+    panel?.find('[data-field="intercept"]').prop('checked', !!options?.isIntercepting());
+}
+
+/** Whether sent prompts are being recorded, i.e. the panel is open */
+export function isMonitorOpen() {
+    return panel !== null;
+}
+
+/**
+ * Adds a sent prompt at the top, if the panel is open. Never waits for anything.
+ * @param {Omit<MonitorEntry, 'timestamp'>} entry
+ */
+export function recordPrompt(entry) {
+    if (!panel) return;
+    // Timestamps identify the entries, so two prompts in the same millisecond get distinct ones
+    const timestamp = Math.max(Date.now(), (entries[0]?.timestamp ?? 0) + 1);
+    const value = { ...entry, timestamp };
+    entries.unshift(value);
+    if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+
+    const $list = panel.find('.prompt-inspector-monitor-list');
+    if (entries.length === 1) $list.empty();
+    $list.prepend(buildEntry(value));
+    $list.children('.prompt-inspector-monitor-entry').slice(MAX_ENTRIES).remove();
+}
@@ -0,0 +1,343 @@
+// outline.js - Prompt Inspector
+// Outline panel next to the editor.
+//
+// Chat Completion: one entry per message (index, role, first words, size).
+// Text Completion: the story string, world info entries found in it, example
+// dialogues, the chat start and every chat message, detected with the active
+// instruct/context templates (or "Name:" prefixes without instruct mode).
+//
+// Entries are offset ranges into the text shown in the editor, so the outline
+// works in either line break view. Clicking one scrolls its first line to the
+// top; the entry at the caret (or at the top line while scrolling) is marked.
+//
+// -----------------------------------------------------------------------------
+
+import { eventSource, event_types } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+import { power_user } from '../../../power-user.js';
+import { debounce, escapeRegex } from '../../../utils.js';
+import { getContextMarkers, getInstructMarkers } from './templates.js';
+
+/**
+ * @typedef {object} OutlineEntry
+ * @property {number} start
+ * @property {number} end
+ * @property {string} label
+ * @property {string} preview First words
+ * @property {string} kind 'message', 'story', 'worldinfo', 'examples' or 'chat'
+ * @property {number} [contentStart] Text Completion: end of the sequence or separator that opens the section
+ */
+
+// World info activated for the last generation, to find its entries in the prompt
+let lastWorldInfo = [];
+if (event_types.WORLD_INFO_ACTIVATED) {
+    eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => {
+        lastWorldInfo = Array.isArray(entries) ? entries : [];
+    });
+}
+
+const isWs = (c) => c === ' ' || c === '\n' || c === '\r' || c === '\t';
+
+function preview(s) {
+    return String(s ?? '').replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+// Preview of a JSON string value, in either view
+function previewJsonString(s) {
+    return preview(String(s ?? '').replace(/\\[nrt]/g, ' ').replace(/\\(["\\/])/g, '$1'));
+}
+
+// Whether the quote at i is escaped (odd number of backslashes before it)
+function isEscaped(text, i) {
+    let k = i - 1;
+    while (k >= 0 && text.charCodeAt(k) === 0x5C) k--;
+    return (i - 1 - k) % 2 === 1;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Chat Completion
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * One entry per object in the top-level array. Never throws on invalid input:
+ * a message that isn't closed yet runs to the end of the text.
+ * @param {string} text JSON, raw or with real line breaks inside strings
+ * @returns {OutlineEntry[]}
+ */
+export function outlineChatMessages(text) {
+    const entries = [];
+    const n = text.length;
+    let depth = 0;
+    let message = null;
+    let key = null;
+
+    const close = (end) => {
+        const { role, name, content, multipart } = message;
+        entries.push({
+            start: message.start,
+            end,
+            label: `#${entries.length} ${role ?? '?'}${name ? ` (${name})` : ''}`,
+            preview: multipart ? '[multipart content]' : previewJsonString(content),
+            kind: 'message',
+        });
+        message = null;
+    };
+
+    let i = 0;
+    while (i < n) {
+        const ch = text[i];
+        if (ch === '"') {
+            let j = text.indexOf('"', i + 1);
+            while (j !== -1 && isEscaped(text, j)) j = text.indexOf('"', j + 1);
+            const end = j === -1 ? n : j + 1;
+            if (message && depth === 2) {
+                let k = end;
+                while (k < n && isWs(text[k])) k++;
+                if (text[k] === ':') key = text.slice(i + 1, end - 1);
+                else if (key === 'role' || key === 'name') message[key] = text.slice(i + 1, end - 1);
+                else if (key === 'content') message.content = text.slice(i + 1, Math.min(end - 1, i + 201));
+            }
+            i = end;
+            continue;
+        }
+        if (ch === '{' || ch === '[') {
+            if (depth === 1 && ch === '{') message = { start: i };
+            else if (message && depth === 2 && key === 'content') message.multipart = true;
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (message && depth === 1) close(i + 1);
+            if (depth <= 0) break;
+        }
+        i++;
+    }
+    if (message) close(n);
+    return entries;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Text Completion
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Markers of the active templates, with {{user}}/{{char}} resolved.
+ * @returns {{ roles: { marker: string, role: string }[], suffixes: string[], exampleSeparator: string, chatStart: string, worldInfo: { content: string, label: string }[] }}
+ */
+export function getOutlineMarkers() {
+    const instruct = getInstructMarkers();
+    const roles = instruct.roles.filter(r => r.marker.length >= 2);
+    if (!instruct.enabled) {
+        // Without instruct mode, messages start with "Name:"
+        const context = getContext();
+        const names = new Set([context.name1, context.name2]);
+        const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+        for (const avatar of group?.members ?? []) names.add(context.characters?.find(c => c.avatar === avatar)?.name);
+        for (const name of names) if (name) roles.push({ marker: `${name}:`, role: name });
+    }
+
+    const worldInfo = lastWorldInfo
+        .filter(entry => typeof entry?.content === 'string' && entry.content.trim().length >= 20)
+        .map(entry => ({
+            content: entry.content.trim(),
+            label: String(entry.comment || (Array.isArray(entry.key) ? entry.key.join(', ') : '') || 'entry'),
+        }));
+    return { roles, suffixes: instruct.suffixes, ...getContextMarkers(), worldInfo };
+}
+
+/**
+ * Sections of a text completion prompt, in text order.
+ * @param {string} text
+ * @param {ReturnType<typeof getOutlineMarkers>} markers
+ * @returns {OutlineEntry[]}
+ */
+export function outlineTextSections(text, { roles, exampleSeparator, chatStart, worldInfo }) {
+    // Sections follow each other; their content starts after the marker
+    const sections = [];
+
+    if (exampleSeparator) {
+        let count = 0;
+        for (let i = text.indexOf(exampleSeparator); i !== -1; i = text.indexOf(exampleSeparator, i + exampleSeparator.length)) {
+            sections.push({ start: i, contentStart: i + exampleSeparator.length, label: `Example dialogue ${++count}`, kind: 'examples' });
+        }
+    }
+
+    // The chat starts after the examples
+    const lastExample = sections.length ? sections[sections.length - 1].start : 0;
+    const chatAt = chatStart ? text.indexOf(chatStart, lastExample) : -1;
+    if (chatAt !== -1) sections.push({ start: chatAt, contentStart: chatAt + chatStart.length, label: 'Chat history', kind: 'chat' });
+
+    if (roles.length) {
+        const byMarker = new Map(roles.map(r => [r.marker, r.role]));
+        const alternation = [...byMarker.keys()].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+        // Instruct sequences may follow anything; names only start a line
+        const re = new RegExp(power_user.instruct?.enabled ? `(${alternation})` : `(?<=^|\\n)(${alternation})`, 'g');
+        let count = 0;
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            sections.push({ start: m.index, contentStart: m.index + m[1].length, label: `#${count++} ${byMarker.get(m[1])}`, kind: 'message' });
+        }
+    }
+
+    sections.sort((a, b) => a.start - b.start);
+    const first = sections.length ? sections[0].start : text.length;
+    if (text.slice(0, first).trim()) sections.unshift({ start: 0, contentStart: 0, label: 'Story string', kind: 'story' });
+
+    /** @type {OutlineEntry[]} */
+    const entries = sections.map(({ start, contentStart, label, kind }, index) => {
+        const end = index + 1 < sections.length ? sections[index + 1].start : text.length;
+        // The chat history section only holds the chat start; its messages follow
+        const words = kind === 'chat' ? '' : preview(text.slice(contentStart, Math.min(end, contentStart + 200)));
+        return { start, end, contentStart, label, preview: words, kind };
+    });
+
+    // World info overlaps the other sections, mostly the story string
+    for (const entry of worldInfo) {
+        const start = text.indexOf(entry.content);
+        if (start === -1) continue;
+        entries.push({ start, end: start + entry.content.length, label: `World info: ${entry.label}`, preview: preview(entry.content), kind: 'worldinfo' });
+    }
+    return entries.sort((a, b) => a.start - b.start);
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Panel
+// ───────────────────────────────────────────────────────────────────────────────
+function formatSize(chars) {
+    return chars >= 1000 ? `${(chars / 1000).toFixed(chars >= 10000 ? 0 : 1)}k` : String(chars);
+}
+
+/**
+ * @typedef {object} OutlineEditorAdapter
+ * @property {HTMLElement} ce
+ * @property {() => string} getText Text as shown (current view)
+ * @property {(start: number, end: number) => void} setSelection
+ * @property {() => { start: number, end: number }} getSelection
+ * @property {(offset: number) => void} scrollToOffset Scrolls so the line at offset is fully visible
+ * @property {() => number} firstVisibleOffset Offset of the first fully visible line
+ */
+
+/**
+ * Creates the outline panel and puts it next to the editor.
+ * @param {OutlineEditorAdapter} editor
+ * @param {{ isJson: boolean }} options
+ * @returns {{ element: HTMLElement, refresh: () => void, setVisible: (visible: boolean) => void, destroy: () => void }}
+ */
+export function createOutlinePanel(editor, { isJson }) {
+    const panel = $(`
+        <div id="inspectPromptOutline" class="prompt-inspector-outline" style="display:none;">
+            <div class="prompt-inspector-outline-list">
+                <div class="prompt-inspector-outline-header">
+                    <b>Outline</b>
+                    <small data-outline="count"></small>
+                </div>
+                <div data-outline="entries"></div>
+            </div>
+        </div>
+    `);
+    const $list = panel.find('.prompt-inspector-outline-list');
+    const $entries = panel.find('[data-outline="entries"]');
+    const markers = isJson ? null : getOutlineMarkers();
+    let entries = [];
+    let active = -1;
+    let visible = false;
+
+    // Innermost entry containing offset (world info wins over the story string around it)
+    function entryAt(offset) {
+        let found = -1;
+        for (let i = 0; i < entries.length && entries[i].start <= offset; i++) {
+            if (offset < entries[i].end || (offset === entries[i].end && i === entries.length - 1)) found = i;
+        }
+        return found;
+    }
+
+    function setActive(index) {
+        if (index === active) return;
+        const items = $entries.children();
+        if (active >= 0) items.eq(active).removeClass('active');
+        active = index;
+        if (active < 0) return;
+        const item = items.get(active);
+        if (!item) return;
+        item.classList.add('active');
+        // Keep it in view inside the list without scrolling the popup
+        const list = $list.get(0);
+        if (item.offsetTop < list.scrollTop) list.scrollTop = item.offsetTop;
+        else if (item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) list.scrollTop = item.offsetTop + item.offsetHeight - list.clientHeight;
+    }
+
+    function refresh() {
+        if (!visible) return;
+        const text = editor.getText();
+        entries = isJson ? outlineChatMessages(text) : outlineTextSections(text, markers);
+        active = -1;
+        const fragment = document.createDocumentFragment();
+        entries.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = `prompt-inspector-outline-entry prompt-inspector-outline-${entry.kind}`;
+            item.dataset.index = String(index);
+            item.title = entry.preview;
+            const head = document.createElement('div');
+            const label = document.createElement('b');
+            label.textContent = entry.label;
+            const size = document.createElement('small');
+            size.className = 'prompt-inspector-outline-size';
+            size.textContent = formatSize(entry.end - entry.start);
+            size.title = `${entry.end - entry.start} characters`;
+            head.append(label, size);
+            const words = document.createElement('small');
+            words.textContent = entry.preview;
+            item.append(head, words);
+            fragment.appendChild(item);
+        });
+        $entries.get(0).replaceChildren(fragment);
+        panel.find('[data-outline="count"]').text(isJson ? `${entries.length} messages` : `${entries.length} sections`);
+        trackTop();
+    }
+    const refreshDebounced = debounce(refresh, 500);
+
+    function trackCaret() {
+        if (!visible || document.activeElement !== editor.ce) return;
+        setActive(entryAt(editor.getSelection().start));
+    }
+    function trackTop() {
+        if (visible) setActive(entryAt(editor.firstVisibleOffset()));
+    }
+
+    let scrollFrame = 0;
+    const onScroll = () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = 0;
+            trackTop();
+        });
+    };
+    const onSelectionChange = () => trackCaret();
+
+    $entries.on('click', '.prompt-inspector-outline-entry', (e) => {
+        const entry = entries[Number(e.currentTarget.dataset.index)];
+        if (!entry) return;
+        editor.ce.focus({ preventScroll: true });
+        editor.setSelection(entry.start, entry.start);
+        editor.scrollToOffset(entry.start);
+        setActive(Number(e.currentTarget.dataset.index));
+    });
+    editor.ce.addEventListener('input', refreshDebounced);
+    editor.ce.addEventListener('scroll', onScroll);
+    document.addEventListener('selectionchange', onSelectionChange);
+
+    // Editor and outline side by side; the list scrolls within the editor height
+    $(editor.ce).wrap('<div class="prompt-inspector-editor-row flex1"></div>');
+    $(editor.ce).after(panel);
+
+    return {
+        element: panel.get(0),
+        refresh,
+        setVisible: (value) => {
+            visible = value;
+            panel.toggle(value);
+            refresh();
+        },
+        destroy: () => {
+            visible = false;
+            document.removeEventListener('selectionchange', onSelectionChange);
+        },
+    };
+}
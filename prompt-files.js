@@ -0,0 +1,245 @@
+// prompt-files.js - Prompt Inspector
+// Import/export of prompts as files.
+//
+// Chat Completion: pretty JSON, OpenAI-style JSONL (one request per line) and a
+// Markdown transcript with one "## role" heading per message.
+// Text Completion: plain text.
+//
+// Parsers throw an Error with a readable message; callers show it and keep the editor as is.
+//
+// -----------------------------------------------------------------------------
+
+import { download } from '../../../utils.js';
+import { validateChatPrompt } from './json-validation.js';
+
+/** @typedef {'json' | 'jsonl' | 'markdown' | 'text'} PromptFormat */
+
+export const CHAT_FORMATS = [
+    { id: 'json', label: 'JSON', ext: 'json', mime: 'application/json' },
+    { id: 'jsonl', label: 'JSONL (OpenAI)', ext: 'jsonl', mime: 'application/jsonl' },
+    { id: 'markdown', label: 'Markdown transcript', ext: 'md', mime: 'text/markdown' },
+];
+export const TEXT_FORMATS = [
+    { id: 'text', label: 'Plain text', ext: 'txt', mime: 'text/plain' },
+];
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Markdown transcript
+// ───────────────────────────────────────────────────────────────────────────────
+// A message is "## role" or "## role (name)", a blank line and the content.
+// Messages that don't fit (non-text content, tool calls, extra keys) get a
+// "[json]" heading and are kept as a fenced JSON object, so nothing is lost.
+// Content lines that look like a heading are escaped with one more backslash.
+const HEADING_RE = /^## ([A-Za-z0-9_-]+)(?: \(([A-Za-z0-9_-]+)\))?( \[json\])?$/;
+const ESCAPE_RE = /^\\*## /;
+
+function isPlainMessage(message) {
+    const keys = Object.keys(message);
+    return typeof message.content === 'string'
+        && /^[A-Za-z0-9_-]+$/.test(message.role)
+        && (message.name === undefined || (typeof message.name === 'string' && /^[A-Za-z0-9_-]+$/.test(message.name)))
+        && keys.every(k => k === 'role' || k === 'content' || k === 'name');
+}
+
+/**
+ * @param {object[]} messages
+ * @returns {string}
+ */
+export function messagesToMarkdown(messages) {
+    const blocks = messages.map((message) => {
+        if (isPlainMessage(message)) {
+            const name = message.name ? ` (${message.name})` : '';
+            const body = message.content.split('\n').map(line => ESCAPE_RE.test(line) ? '\\' + line : line).join('\n');
+            return `## ${message.role}${name}\n\n${body}`;
+        }
+        const role = /^[A-Za-z0-9_-]+$/.test(String(message.role)) ? message.role : 'message';
+        return `## ${role} [json]\n\n\`\`\`json\n${JSON.stringify(message, null, 4)}\n\`\`\``;
+    });
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function markdownToMessages(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const sections = [];
+    let current = null;
+    for (const line of lines) {
+        const heading = HEADING_RE.exec(line);
+        if (heading) {
+            current = { role: heading[1], name: heading[2], json: !!heading[3], lines: [] };
+            sections.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        }
+    }
+    if (!sections.length) throw new Error('No "## role" headings found in the Markdown file');
+
+    return sections.map((section, index) => {
+        const body = section.lines;
+        // Blank line after the heading, blank line (or end of file) before the next one
+        if (body[0] === '') body.shift();
+        if (body[body.length - 1] === '') body.pop();
+
+        if (section.json) {
+            const source = body.join('\n').replace(/^```(?:json)?\n/, '').replace(/\n```\s*$/, '');
+            try {
+                return JSON.parse(source);
+            } catch (e) {
+                throw new Error(`Message #${index} (${section.role}) is not valid JSON: ${e.message}`);
+            }
+        }
+        const content = body.map(line => ESCAPE_RE.test(line) ? line.slice(1) : line).join('\n');
+        return section.name ? { role: section.role, name: section.name, content } : { role: section.role, content };
+    });
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// JSON / JSONL
+// ───────────────────────────────────────────────────────────────────────────────
+function messagesFromRequest(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value.messages)) return value.messages;
+        if (Array.isArray(value.body?.messages)) return value.body.messages; // OpenAI batch input
+    }
+    return null;
+}
+
+/**
+ * Requests of a JSONL file, as message arrays.
+ * @param {string} text
+ * @returns {object[][]}
+ */
+export function jsonlToRequests(text) {
+    const requests = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (e) {
+            throw new Error(`Line ${index + 1} is not valid JSON: ${e.message}`);
+        }
+        const messages = messagesFromRequest(value);
+        if (!messages) throw new Error(`Line ${index + 1} has no "messages" array`);
+        requests.push(messages);
+    });
+    if (!requests.length) throw new Error('The JSONL file is empty');
+    return requests;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public API
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Guesses the format of an imported file from its name, then its content.
+ * @param {string} fileName
+ * @param {string} text
+ * @param {boolean} chatCompletion
+ * @returns {PromptFormat}
+ */
+export function detectFormat(fileName, text, chatCompletion) {
+    if (!chatCompletion) return 'text';
+    const ext = String(fileName).toLowerCase().split('.').pop();
+    if (ext === 'jsonl' || ext === 'ndjson') return 'jsonl';
+    if (ext === 'md' || ext === 'markdown') return 'markdown';
+    if (ext === 'json') return 'json';
+    try {
+        JSON.parse(text);
+        return 'json';
+    } catch { /* not a single JSON document */ }
+    try {
+        jsonlToRequests(text);
+        return 'jsonl';
+    } catch { /* not JSONL either */ }
+    return text.split(/\r?\n/).some(line => HEADING_RE.test(line)) ? 'markdown' : 'json';
+}
+
+/**
+ * Converts the raw prompt into a file.
+ * @param {string} raw Raw prompt (JSON with escaped newlines for Chat Completion)
+ * @param {PromptFormat} format
+ * @returns {{ content: string, ext: string, mime: string }}
+ */
+export function exportPrompt(raw, format) {
+    const info = [...CHAT_FORMATS, ...TEXT_FORMATS].find(f => f.id === format);
+    if (!info) throw new Error(`Unknown format: ${format}`);
+    if (format === 'text') return { content: raw, ext: info.ext, mime: info.mime };
+
+    const validation = validateChatPrompt(raw);
+    if (!validation.ok) throw new Error(`The prompt can't be exported as ${info.label}: ${validation.message}`);
+    const messages = validation.messages;
+
+    let content;
+    if (format === 'json') content = JSON.stringify(messages, null, 4);
+    else if (format === 'jsonl') content = JSON.stringify({ messages }) + '\n';
+    else content = messagesToMarkdown(messages);
+    return { content, ext: info.ext, mime: info.mime };
+}
+
+/**
+ * Parses an imported file into raw prompts (several for multi-request JSONL).
+ * @param {string} text File content
+ * @param {PromptFormat} format
+ * @returns {string[]} Raw prompts, validated
+ */
+export function importPrompts(text, format) {
+    if (format === 'text') return [text];
+
+    let requests;
+    if (format === 'jsonl') {
+        requests = jsonlToRequests(text);
+    } else if (format === 'markdown') {
+        requests = [markdownToMessages(text)];
+    } else {
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`The file is not valid JSON: ${e.message}`);
+        }
+        const messages = messagesFromRequest(value);
+        if (!messages) throw new Error('The file must contain a JSON array of messages or an object with "messages"');
+        requests = [messages];
+    }
+
+    return requests.map((messages, index) => {
+        const raw = JSON.stringify(messages, null, 4);
+        const validation = validateChatPrompt(raw);
+        if (!validation.ok) throw new Error(requests.length > 1 ? `Request #${index + 1}: ${validation.message}` : validation.message);
+        return raw;
+    });
+}
+
+/**
+ * Downloads the raw prompt in the given format.
+ * @param {string} raw
+ * @param {PromptFormat} format
+ */
+export function downloadPrompt(raw, format) {
+    const { content, ext, mime } = exportPrompt(raw, format);
+    download(content, `prompt-${new Date().toISOString().replace(/[:.]/g, '-')}.${ext}`, mime);
+}
+
+/**
+ * Lets the user pick a file and reads it as text.
+ * @param {string} accept
+ * @returns {Promise<{ name: string, text: string } | null>} null when nothing was picked
+ */
+export function pickTextFile(accept) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) return resolve(null);
+            resolve({ name: file.name, text: await file.text() });
+        }, { once: true });
+        input.addEventListener('cancel', () => resolve(null), { once: true });
+        input.click();
+    });
+}
@@ -0,0 +1,221 @@
+// prompt-pin.js - Prompt Inspector
+// A pinned prompt, reused for later generations in the same chat.
+//
+// "Pin this prompt" on save keeps the sent prompt together with the prompt that
+// was generated for it. Later normal sends, regenerations and swipes in that
+// chat send the pinned prompt instead: verbatim, or with the chat turns that
+// were added since (the part of the new generated prompt that isn't in the
+// pinned generation) inserted at the same place. The pin lasts until it is
+// removed or the page is reloaded.
+//
+// -----------------------------------------------------------------------------
+
+import { eventSource, event_types } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+import { POPUP_RESULT, POPUP_TYPE, Popup } from '../../../popup.js';
+
+/** @typedef {'verbatim' | 'append'} PinMode */
+
+/**
+ * @typedef {object} PromptPin
+ * @property {string} chatId
+ * @property {string} character Character or group name
+ * @property {boolean} isChat Whether the prompts are JSON message arrays
+ * @property {string} generated Prompt that was generated for the pinned generation (after rules)
+ * @property {string} text Pinned prompt, as it was sent
+ * @property {PinMode} mode
+ * @property {number} timestamp
+ * @property {number} uses Generations that reused the pin
+ */
+
+/** Generation types that reuse the pin; others (continue, impersonate, quiet) get their own prompt */
+export const PIN_GENERATION_TYPES = ['normal', 'regenerate', 'swipe'];
+
+/** @type {PromptPin | null} */
+let pin = null;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+/** @returns {PinMode} */
+export function getPinModeDefault() {
+    return localStorage.getItem('promptInspectorPinMode') === 'verbatim' ? 'verbatim' : 'append';
+}
+/** @param {PinMode} mode */
+export function setPinModeDefault(mode) {
+    localStorage.setItem('promptInspectorPinMode', mode);
+}
+
+/**
+ * The pin, if it belongs to the given chat.
+ * @param {string} chatId
+ * @returns {PromptPin | null}
+ */
+export function getPin(chatId) {
+    return pin && pin.chatId === chatId ? pin : null;
+}
+
+/** @param {Omit<PromptPin, 'timestamp' | 'uses'>} value */
+export function setPin(value) {
+    pin = { ...value, timestamp: Date.now(), uses: 0 };
+    setPinModeDefault(value.mode);
+    refreshPinIndicator();
+}
+
+export function clearPin() {
+    pin = null;
+    refreshPinIndicator();
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Reuse
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Where `after` inserts items into `before`, found from the common tail first
+ * (the generation header at the end is the most stable part of a prompt).
+ * @param {string | string[]} before
+ * @param {string | string[]} after
+ * @returns {{ prefix: number, suffix: number } | null} null when something was also removed or changed
+ */
+function findInsertion(before, after) {
+    const min = Math.min(before.length, after.length);
+    let suffix = 0;
+    while (suffix < min && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+    let prefix = 0;
+    while (prefix < min - suffix && before[prefix] === after[prefix]) prefix++;
+    if (typeof after === 'string') {
+        // Never cut a surrogate pair
+        while (suffix > 0 && isLowSurrogate(after.charCodeAt(after.length - suffix))) suffix--;
+        while (prefix > 0 && isLowSurrogate(after.charCodeAt(prefix))) prefix--;
+    }
+    return prefix + suffix === before.length ? { prefix, suffix } : null;
+}
+
+function isLowSurrogate(code) {
+    return code >= 0xDC00 && code <= 0xDFFF;
+}
+
+function sameItems(a, b) {
+    return typeof a === 'string' ? a === b : a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
+// Puts the added items at the same place in the pinned prompt: before the same tail, or after the same head
+function insertInto(pinned, before, { prefix, suffix }, added) {
+    let at = -1;
+    if (sameItems(before.slice(before.length - suffix), pinned.slice(pinned.length - suffix))) at = pinned.length - suffix;
+    else if (sameItems(before.slice(0, prefix), pinned.slice(0, prefix))) at = prefix;
+    return at < 0 ? null : pinned.slice(0, at).concat(added, pinned.slice(at));
+}
+
+// Chat Completion compares whole messages, Text Completion characters
+function toItems(text, isChat) {
+    return isChat ? JSON.parse(text).map(message => JSON.stringify(message)) : text;
+}
+function fromItems(items, isChat) {
+    return isChat ? JSON.stringify(items.map(item => JSON.parse(item)), null, 4) : items;
+}
+
+/**
+ * The prompt to send instead of a newly generated one. Counts as a use of the pin.
+ * @param {PromptPin} value
+ * @param {string} generated New generated prompt (after rules)
+ * @returns {{ text: string, added: number, appended: boolean }} appended is false when the new turns couldn't be placed and the pin is sent as is
+ */
+export function applyPin(value, generated) {
+    value.uses++;
+    refreshPinIndicator();
+    if (value.mode === 'verbatim') return { text: value.text, added: 0, appended: false };
+    if (generated === value.generated) return { text: value.text, added: 0, appended: true };
+
+    try {
+        const before = toItems(value.generated, value.isChat);
+        const after = toItems(generated, value.isChat);
+        const insertion = findInsertion(before, after);
+        if (!insertion) return { text: value.text, added: 0, appended: false };
+        const added = after.slice(insertion.prefix, after.length - insertion.suffix);
+        const items = insertInto(toItems(value.text, value.isChat), before, insertion, added);
+        if (!items) return { text: value.text, added: 0, appended: false };
+        return { text: fromItems(items, value.isChat), added: added.length, appended: true };
+    } catch (e) {
+        console.error('Prompt Inspector: Could not append the new turns to the pinned prompt', e);
+        return { text: value.text, added: 0, appended: false };
+    }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Indicator
+// ───────────────────────────────────────────────────────────────────────────────
+let viewPinned = null;
+
+function currentChatId() {
+    return String(getContext().chatId ?? '');
+}
+
+/**
+ * Adds the pin indicator next to the chat input. It is only shown in the chat the pin belongs to.
+ * @param {{ view: (text: string) => Promise<void> }} options
+ */
+export function addPinIndicator({ view }) {
+    viewPinned = view;
+    const indicator = document.createElement('div');
+    indicator.id = 'promptInspectorPinIndicator';
+    indicator.className = 'fa-solid fa-thumbtack interactable';
+    indicator.tabIndex = 0;
+    indicator.style.display = 'none';
+    indicator.addEventListener('click', () => showPinInfo());
+
+    const form = document.getElementById('leftSendForm') ?? document.getElementById('send_form');
+    form?.appendChild(indicator);
+    eventSource.on(event_types.CHAT_CHANGED, () => refreshPinIndicator());
+}
+
+export function refreshPinIndicator() {
+    const indicator = document.getElementById('promptInspectorPinIndicator');
+    if (!indicator) return;
+    const active = getPin(currentChatId());
+    indicator.style.display = active ? '' : 'none';
+    if (!active) return;
+    const mode = active.mode === 'verbatim' ? 'sent as is' : 'new chat turns are appended';
+    indicator.title = `A prompt is pinned for this chat (${mode}, reused ${active.uses} times). Click to view or unpin.`;
+}
+
+async function showPinInfo() {
+    const active = getPin(currentChatId());
+    if (!active) return;
+
+    const kind = active.isChat ? `Chat Completion, ${JSON.parse(active.text).length} messages` : 'Text Completion';
+    const root = $(`
+        <div class="flex-container flexFlowColumn" style="text-align:left;gap:8px;">
+            <h3>Pinned prompt</h3>
+            <small>Normal sends, regenerations and swipes in this chat send the pinned prompt instead of a new one, even when inspection is off. Continue, impersonate and quiet generations are not affected.</small>
+            <div data-field="summary"></div>
+            <label class="flex-container alignItemsCenter" style="gap:8px;">
+                <small>Later generations</small>
+                <select data-field="mode" class="text_pole" style="width:auto;margin:0;">
+                    <option value="append">Append new chat turns</option>
+                    <option value="verbatim">Send it as pinned</option>
+                </select>
+            </label>
+            <div>
+                <div data-action="view" class="menu_button menu_button_icon" style="display:inline-flex;">
+                    <i class="fa-solid fa-eye"></i>
+                    <span>View</span>
+                </div>
+            </div>
+        </div>
+    `);
+    root.find('[data-field="summary"]').text(`${kind}, ${active.text.length} characters, pinned at ${new Date(active.timestamp).toLocaleTimeString()}, reused ${active.uses} times.`);
+    root.find('[data-field="mode"]').val(active.mode).on('change', (e) => {
+        active.mode = e.target.value === 'verbatim' ? 'verbatim' : 'append';
+        setPinModeDefault(active.mode);
+        refreshPinIndicator();
+    });
+    root.on('click', '[data-action="view"]', () => viewPinned?.(active.text));
+
+    const popup = new Popup(root, POPUP_TYPE.CONFIRM, '', { okButton: 'Unpin', cancelButton: 'Close' });
+    const result = await popup.show();
+    if (result === POPUP_RESULT.AFFIRMATIVE && pin === active) {
+        clearPin();
+        toastr.info('The prompt was unpinned');
+    }
+}
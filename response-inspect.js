@@ -0,0 +1,111 @@
+// response-inspect.js - Prompt Inspector
+// Response inspection: the setting, the raw backend responses and escape fixes.
+//
+// While response inspection is on, the bodies returned by the generation
+// endpoints are kept (the last one only), so the editor can show the full raw
+// response next to the generated text: JSON for regular requests, the event
+// stream for streamed ones. Nothing is captured while it is off.
+//
+// -----------------------------------------------------------------------------
+
+/** Generation endpoints of the SillyTavern server */
+const GENERATE_URL = /\/api\/(?:backends\/[^/]+\/generate|novelai\/generate|horde\/generate-text)/;
+
+/** Longer raw responses are cut, they are only shown */
+const RAW_MAX_LENGTH = 2_000_000;
+
+/**
+ * @typedef {object} RawResponse
+ * @property {string} url
+ * @property {boolean} isJson Whether the body is JSON (pretty-printed), otherwise the event stream as text
+ * @property {string} text
+ */
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+export function getInspectResponses() {
+    return localStorage.getItem('promptInspectorResponses') === 'true';
+}
+export function setInspectResponses(v) {
+    localStorage.setItem('promptInspectorResponses', String(v));
+    if (v) installResponseCapture();
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Raw responses
+// ───────────────────────────────────────────────────────────────────────────────
+/** @type {Promise<RawResponse | null> | null} */
+let lastRawResponse = null;
+let captureInstalled = false;
+
+async function readRawResponse(url, response) {
+    let text = await response.text();
+    let isJson = false;
+    try {
+        text = JSON.stringify(JSON.parse(text), null, 4);
+        isJson = true;
+    } catch {
+        // event stream or plain text
+    }
+    if (text.length > RAW_MAX_LENGTH) {
+        text = `${text.slice(0, RAW_MAX_LENGTH)}\n… (cut at ${RAW_MAX_LENGTH} characters)`;
+        isJson = false;
+    }
+    return { url, isJson, text };
+}
+
+/**
+ * Keeps a copy of the generation responses from now on. The page's fetch is wrapped once; the
+ * response goes to SillyTavern unchanged, the copy is read alongside.
+ */
+export function installResponseCapture() {
+    if (captureInstalled) return;
+    captureInstalled = true;
+    const nativeFetch = window.fetch;
+    window.fetch = async function (input, init) {
+        const response = await nativeFetch.call(this, input, init);
+        try {
+            const url = typeof input === 'string' ? input : input instanceof Request ? input.url : String(input);
+            if (getInspectResponses() && response.ok && GENERATE_URL.test(url)) {
+                lastRawResponse = readRawResponse(url, response.clone()).catch(() => null);
+            }
+        } catch (e) {
+            console.warn('Prompt Inspector: Could not keep the raw response', e);
+        }
+        return response;
+    };
+}
+
+/** Forgets the previous response, so it isn't shown with a later message */
+export function clearRawResponse() {
+    lastRawResponse = null;
+}
+
+/**
+ * The raw response of the last generation request, once fully read.
+ * @returns {Promise<RawResponse | null>}
+ */
+export async function takeRawResponse() {
+    const pending = lastRawResponse;
+    lastRawResponse = null;
+    return pending ? await pending : null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Escapes
+// ───────────────────────────────────────────────────────────────────────────────
+/**
+ * Turns JSON-style escape sequences the model wrote as text (`\n`, `\t`, `\"`, `\uXXXX`, ...) into
+ * the characters they stand for.
+ * @param {string} text
+ * @returns {{ text: string, count: number }}
+ */
+export function unescapeSequences(text) {
+    let count = 0;
+    const result = text.replace(/\\(?:u[0-9a-fA-F]{4}|["\\/bfnrt])/g, (sequence) => {
+        count++;
+        return JSON.parse(`"${sequence}"`);
+    });
+    return { text: result, count };
+}
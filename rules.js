@@ -0,0 +1,366 @@
+// rules.js - Prompt Inspector
+// Automatic find/replace rules applied to every outgoing prompt, with or without the popup.
+//
+// Rules run in order. Each is a literal or regex (with capture groups) replacement,
+// scoped to text completion, chat completion or both. In chat completion a rule
+// can be limited to some roles and/or message indices (negative counts from the end).
+//
+// -----------------------------------------------------------------------------
+
+import { POPUP_TYPE, Popup } from '../../../popup.js';
+import { uuidv4 } from '../../../utils.js';
+import { showDiffReview } from './diff-review.js';
+
+/**
+ * @typedef {object} PromptRule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {string} find
+ * @property {string} replace
+ * @property {boolean} regex
+ * @property {string} flags Regex flags, 'g' is always added
+ * @property {'all' | 'text' | 'chat'} scope
+ * @property {string[]} roles Chat roles to touch, empty for all
+ * @property {string} indices Chat message indices, e.g. "0, 2-4, -1", empty for all
+ */
+
+/** @typedef {{ rule: PromptRule, matches: number, messages: number[], error?: string }} RuleReport */
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Storage
+// ───────────────────────────────────────────────────────────────────────────────
+/** @returns {PromptRule[]} */
+export function loadRules() {
+    try {
+        const rules = JSON.parse(localStorage.getItem('promptInspectorRules') ?? '[]');
+        return Array.isArray(rules) ? rules : [];
+    } catch {
+        return [];
+    }
+}
+
+/** @param {PromptRule[]} rules */
+export function saveRules(rules) {
+    localStorage.setItem('promptInspectorRules', JSON.stringify(rules));
+}
+
+function newRule() {
+    return { id: uuidv4(), name: '', enabled: true, find: '', replace: '', regex: false, flags: '', scope: 'all', roles: [], indices: '' };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Engine
+// ───────────────────────────────────────────────────────────────────────────────
+function buildRegex(rule) {
+    const flags = [...new Set(`g${rule.flags ?? ''}`)].join('');
+    return new RegExp(rule.find, flags);
+}
+
+// Same $-patterns as String.prototype.replace: $$, $&, $`, $', $1..$99, $<name>
+export function expandReplacement(template, match, captures, offset, input, named) {
+    return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+        if (what === '$') return '$';
+        if (what === '&') return match;
+        if (what === '`') return input.slice(0, offset);
+        if (what === '\'') return input.slice(offset + match.length);
+        if (name !== undefined) return named ? (named[name] ?? '') : token;
+        let n = Number(what);
+        if (n > captures.length && what.length === 2) {
+            // "$10" with a single group means "$1" followed by "0"
+            n = Number(what[0]);
+            if (n >= 1 && n <= captures.length) return (captures[n - 1] ?? '') + what[1];
+            return token;
+        }
+        return n >= 1 && n <= captures.length ? (captures[n - 1] ?? '') : token;
+    });
+}
+
+/**
+ * Applies one rule to a string.
+ * @returns {{ text: string, matches: number }}
+ */
+function applyRule(text, rule) {
+    if (!rule.find) return { text, matches: 0 };
+    let matches = 0;
+    if (rule.regex) {
+        const re = buildRegex(rule);
+        const out = text.replace(re, (...args) => {
+            matches++;
+            const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+            const input = args.pop();
+            const offset = args.pop();
+            const [match, ...captures] = args;
+            return expandReplacement(rule.replace ?? '', match, captures, offset, input, named);
+        });
+        return { text: out, matches };
+    }
+    const parts = text.split(rule.find);
+    matches = parts.length - 1;
+    return { text: matches ? parts.join(rule.replace ?? '') : text, matches };
+}
+
+/**
+ * Parses an index list like "0, 2-4, -1" into a predicate.
+ * @param {string} spec
+ * @returns {(index: number, length: number) => boolean}
+ */
+export function parseIndexSpec(spec) {
+    const ranges = String(spec ?? '').split(',').map(s => s.trim()).filter(Boolean).map((part) => {
+        const m = /^(-?\d+)(?:\s*(?:-|\.\.)\s*(-?\d+))?$/.exec(part);
+        if (!m) throw new Error(`Invalid message index "${part}"`);
+        return [Number(m[1]), m[2] === undefined ? Number(m[1]) : Number(m[2])];
+    });
+    if (!ranges.length) return () => true;
+    return (index, length) => ranges.some(([from, to]) => {
+        const a = from < 0 ? length + from : from;
+        const b = to < 0 ? length + to : to;
+        return index >= Math.min(a, b) && index <= Math.max(a, b);
+    });
+}
+
+function inScope(rule, isChat) {
+    return rule.enabled && rule.find && (rule.scope === 'all' || rule.scope === (isChat ? 'chat' : 'text'));
+}
+
+/**
+ * Applies the rules to a text completion prompt.
+ * @param {string} prompt
+ * @param {PromptRule[]} rules
+ * @returns {{ text: string, report: RuleReport[] }}
+ */
+export function applyRulesToText(prompt, rules) {
+    let text = prompt;
+    const report = [];
+    for (const rule of rules) {
+        if (!inScope(rule, false)) continue;
+        try {
+            const result = applyRule(text, rule);
+            text = result.text;
+            report.push({ rule, matches: result.matches, messages: [] });
+        } catch (e) {
+            report.push({ rule, matches: 0, messages: [], error: e.message });
+        }
+    }
+    return { text, report };
+}
+
+/**
+ * Applies the rules to the content of chat messages. String content and the
+ * text parts of multipart content are rewritten; the input is not mutated and
+ * only the messages a rule changed are copies.
+ * @param {object[]} messages
+ * @param {PromptRule[]} rules
+ * @returns {{ messages: object[], changed: number[], report: RuleReport[] }}
+ */
+export function applyRulesToChat(messages, rules) {
+    const out = messages.slice();
+    const cloned = new Set();
+    const writable = (index) => {
+        if (!cloned.has(index)) {
+            out[index] = structuredClone(out[index]);
+            cloned.add(index);
+        }
+        return out[index];
+    };
+    const report = [];
+    for (const rule of rules) {
+        if (!inScope(rule, true)) continue;
+        const entry = { rule, matches: 0, messages: [] };
+        report.push(entry);
+        try {
+            const indexMatches = parseIndexSpec(rule.indices);
+            const roles = Array.isArray(rule.roles) ? rule.roles : [];
+            out.forEach((message, index) => {
+                if (!message || typeof message !== 'object') return;
+                if (roles.length && !roles.includes(message.role)) return;
+                if (!indexMatches(index, out.length)) return;
+
+                let count = 0;
+                if (typeof message.content === 'string') {
+                    const result = applyRule(message.content, rule);
+                    if (result.text !== message.content) writable(index).content = result.text;
+                    count += result.matches;
+                } else if (Array.isArray(message.content)) {
+                    message.content.forEach((part, partIndex) => {
+                        if (part?.type !== 'text' || typeof part.text !== 'string') return;
+                        const result = applyRule(part.text, rule);
+                        if (result.text !== part.text) writable(index).content[partIndex].text = result.text;
+                        count += result.matches;
+                    });
+                }
+                if (count) {
+                    entry.matches += count;
+                    entry.messages.push(index);
+                }
+            });
+        } catch (e) {
+            entry.error = e.message;
+        }
+    }
+    return { messages: out, changed: [...cloned].sort((a, b) => a - b), report };
+}
+
+/**
+ * Whether any enabled rule applies to this kind of prompt.
+ * @param {boolean} isChat
+ */
+export function hasActiveRules(isChat) {
+    return loadRules().some(rule => inScope(rule, isChat));
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Rules manager UI
+// ───────────────────────────────────────────────────────────────────────────────
+const ROLE_OPTIONS = ['system', 'user', 'assistant', 'tool'];
+
+function describeReport(report) {
+    if (!report.length) return 'No enabled rules apply to this prompt.';
+    return report.map(({ rule, matches, messages, error }) => {
+        const name = rule.name || rule.find;
+        if (error) return `✗ ${name}: ${error}`;
+        if (!matches) return `· ${name}: no match`;
+        const where = messages.length ? ` in message${messages.length === 1 ? '' : 's'} #${messages.join(', #')}` : '';
+        return `✓ ${name}: ${matches} match${matches === 1 ? '' : 'es'}${where}`;
+    }).join('\n');
+}
+
+/**
+ * Opens the rules manager.
+ * @param {object} options
+ * @param {() => { text: string, isChat: boolean } | null} options.getSamplePrompt Last captured prompt, for the dry run
+ */
+export async function showRulesManager({ getSamplePrompt }) {
+    let rules = loadRules();
+
+    const root = $(`
+        <div class="flex-container flexFlowColumn height100p" style="text-align:left;">
+            <h3>Prompt rewrite rules</h3>
+            <small>Rules run in order on every outgoing prompt, even when inspection is off. Regex replacements can use capture groups ($1, $&lt;name&gt;).</small>
+            <div id="promptRulesList" class="flex-container flexFlowColumn" style="overflow:auto;gap:8px;"></div>
+            <div class="flex-container">
+                <div id="promptRulesAdd" class="menu_button menu_button_icon"><i class="fa-solid fa-plus"></i><span>Add rule</span></div>
+                <div id="promptRulesPreview" class="menu_button menu_button_icon" title="Run the rules on the last captured prompt without sending anything">
+                    <i class="fa-solid fa-flask"></i><span>Dry run</span>
+                </div>
+            </div>
+            <div id="promptRulesSampleWrap" class="flex-container flexFlowColumn" style="display:none;">
+                <small>No prompt captured yet. Paste a sample prompt to test the rules against:</small>
+                <div class="flex-container alignItemsCenter">
+                    <label class="checkbox_label"><input id="promptRulesSampleChat" type="checkbox"><small>Chat Completion (JSON)</small></label>
+                </div>
+                <textarea id="promptRulesSample" class="text_pole monospace textarea_compact" rows="4"></textarea>
+            </div>
+            <pre id="promptRulesReport" class="monospace" style="white-space:pre-wrap;margin:0;"></pre>
+        </div>
+    `);
+    const $list = root.find('#promptRulesList');
+
+    const persist = () => saveRules(rules);
+
+    function render() {
+        $list.empty();
+        rules.forEach((rule, index) => {
+            const row = $(`
+                <div class="prompt-inspector-rule flex-container flexFlowColumn">
+                    <div class="flex-container alignItemsCenter">
+                        <input data-field="enabled" type="checkbox" title="Enabled">
+                        <input data-field="name" class="text_pole flex1" placeholder="Rule name" style="margin:0;">
+                        <select data-field="scope" class="text_pole" style="width:auto;margin:0;">
+                            <option value="all">All prompts</option>
+                            <option value="text">Text Completion</option>
+                            <option value="chat">Chat Completion</option>
+                        </select>
+                        <div data-action="up" class="menu_button menu_button_icon fa-solid fa-arrow-up" title="Move up"></div>
+                        <div data-action="down" class="menu_button menu_button_icon fa-solid fa-arrow-down" title="Move down"></div>
+                        <div data-action="delete" class="menu_button menu_button_icon fa-solid fa-trash-can" title="Delete"></div>
+                    </div>
+                    <div class="flex-container alignItemsCenter">
+                        <input data-field="find" class="text_pole monospace flex1" placeholder="Find" style="margin:0;">
+                        <label class="checkbox_label"><input data-field="regex" type="checkbox"><small>Regex</small></label>
+                        <input data-field="flags" class="text_pole monospace" placeholder="flags" title="Regex flags (i, m, s, u)" style="width:5em;margin:0;">
+                    </div>
+                    <input data-field="replace" class="text_pole monospace" placeholder="Replace with" style="margin:0;">
+                    <div class="prompt-inspector-rule-chat flex-container alignItemsCenter">
+                        <small>Roles:</small>
+                        ${ROLE_OPTIONS.map(r => `<label class="checkbox_label"><input data-role="${r}" type="checkbox"><small>${r}</small></label>`).join('')}
+                        <input data-field="indices" class="text_pole monospace flex1" placeholder="Message indices, e.g. 0, 2-4, -1 (empty = all)" style="margin:0;">
+                    </div>
+                </div>
+            `);
+            row.find('[data-field="enabled"]').prop('checked', rule.enabled);
+            row.find('[data-field="regex"]').prop('checked', rule.regex);
+            for (const field of ['name', 'scope', 'find', 'replace', 'flags', 'indices']) {
+                row.find(`[data-field="${field}"]`).val(rule[field] ?? '');
+            }
+            row.find('[data-role]').each((_, el) => { $(el).prop('checked', rule.roles?.includes(el.dataset.role)); });
+            row.find('.prompt-inspector-rule-chat').toggle(rule.scope !== 'text');
+
+            row.on('input change', '[data-field]', (e) => {
+                const field = e.target.dataset.field;
+                rule[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                if (field === 'scope') row.find('.prompt-inspector-rule-chat').toggle(rule.scope !== 'text');
+                persist();
+            });
+            row.on('change', '[data-role]', () => {
+                rule.roles = row.find('[data-role]:checked').toArray().map(el => el.dataset.role);
+                persist();
+            });
+            row.on('click', '[data-action]', (e) => {
+                const action = e.currentTarget.dataset.action;
+                if (action === 'delete') rules.splice(index, 1);
+                if (action === 'up' && index > 0) rules.splice(index - 1, 0, ...rules.splice(index, 1));
+                if (action === 'down' && index < rules.length - 1) rules.splice(index + 1, 0, ...rules.splice(index, 1));
+                persist();
+                render();
+            });
+            $list.append(row);
+        });
+        if (!rules.length) $list.append($('<div style="opacity:0.7;">').text('No rules yet.'));
+    }
+
+    root.find('#promptRulesAdd').on('click', () => {
+        rules.push(newRule());
+        persist();
+        render();
+    });
+
+    root.find('#promptRulesPreview').on('click', async () => {
+        let sample = getSamplePrompt();
+        if (!sample) {
+            const $wrap = root.find('#promptRulesSampleWrap').show();
+            const text = String($wrap.find('#promptRulesSample').val() ?? '');
+            if (!text) return;
+            sample = { text, isChat: $wrap.find('#promptRulesSampleChat').prop('checked') };
+        }
+
+        let resultText;
+        let report;
+        if (sample.isChat) {
+            let messages;
+            try {
+                messages = JSON.parse(sample.text);
+                if (!Array.isArray(messages)) throw new Error('not an array');
+            } catch {
+                root.find('#promptRulesReport').text('The sample is not a JSON array of messages.');
+                return;
+            }
+            const result = applyRulesToChat(messages, rules);
+            resultText = JSON.stringify(result.messages, null, 4);
+            report = result.report;
+        } else {
+            const result = applyRulesToText(sample.text, rules);
+            resultText = result.text;
+            report = result.report;
+        }
+
+        root.find('#promptRulesReport').text(describeReport(report));
+        if (resultText !== sample.text) {
+            await showDiffReview(sample.text, resultText, { messages: sample.isChat, readOnly: true });
+        }
+    });
+
+    render();
+    const popup = new Popup(root, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true, okButton: 'Close' });
+    await popup.show();
+}
@@ -0,0 +1,179 @@
+// slash-commands.js - Prompt Inspector
+// STscript / Quick Reply access to the inspector.
+//
+//   /inspect-mode [on|off|next|toggle|status]   switch inspection, returns the mode
+//   /inspect-view [prompt=captured|sent]        show the last prompt read-only
+//   /inspect-prompt [index=..] [role=..]         last sent prompt, or one message of it
+//   /inspect-inject [at=..] [role=..] text      text for the next prompt's editor
+//
+// The commands only parse arguments; the state lives in index.js and is reached
+// through the callbacks given to registerSlashCommands.
+//
+// -----------------------------------------------------------------------------
+
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+
+/** @typedef {{ text: string, isChat: boolean }} CapturedPrompt */
+
+/**
+ * @typedef {object} InspectorCommandApi
+ * @property {() => string} getMode
+ * @property {(mode: 'off' | 'always' | 'next') => void} setMode
+ * @property {(which: 'captured' | 'sent') => CapturedPrompt | null} getPrompt
+ * @property {(prompt: CapturedPrompt) => Promise<void>} viewPrompt
+ * @property {(text: string, at: 'replace' | 'start' | 'end', role: string) => void} inject
+ */
+
+const MODE_NAMES = { off: 'off', always: 'on', next: 'next' };
+
+function messageContent(message) {
+    return typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? null);
+}
+
+/**
+ * Picks messages from a chat prompt: by role, then by index (negative counts from the end).
+ * @param {object[]} messages
+ * @param {string} role Empty for all roles
+ * @param {string} index Empty for all (or the first one when a role is given)
+ * @returns {object[] | object | null}
+ */
+export function selectMessages(messages, role, index) {
+    const pool = role ? messages.filter(m => m?.role === role) : messages;
+    if (index === '' || index === undefined) return role ? (pool[0] ?? null) : pool;
+    const i = Number(index);
+    if (!Number.isInteger(i)) throw new Error(`Invalid message index: ${index}`);
+    return pool[i < 0 ? pool.length + i : i] ?? null;
+}
+
+/**
+ * Registers the inspector commands.
+ * @param {InspectorCommandApi} api
+ */
+export function registerSlashCommands(api) {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'inspect-mode',
+        callback: (_args, value) => {
+            const action = String(value ?? '').trim().toLowerCase() || 'toggle';
+            const current = api.getMode();
+            const next = {
+                on: 'always',
+                off: 'off',
+                next: 'next',
+                toggle: current === 'off' ? 'always' : 'off',
+                status: current,
+            }[action];
+            if (!next) throw new Error(`Unknown inspection mode: ${action}`);
+            if (next !== current) api.setMode(next);
+            return MODE_NAMES[next];
+        },
+        returns: 'the inspection mode after the change: on, off or next',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'on, off, next (only the next generation), toggle or status (no change)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off', 'next', 'toggle', 'status'],
+                defaultValue: 'toggle',
+            }),
+        ],
+        helpString: `
+            <div>Switches prompt inspection and returns the resulting mode.</div>
+            <div><strong>Example:</strong> <pre><code class="language-stscript">/inspect-mode next | /regenerate</code></pre> inspects only this regeneration.</div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'inspect-view',
+        callback: async (args) => {
+            const which = args.prompt === 'sent' ? 'sent' : 'captured';
+            const prompt = api.getPrompt(which);
+            if (!prompt) {
+                toastr.warning('No prompt captured yet');
+                return '';
+            }
+            await api.viewPrompt(prompt);
+            return '';
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'prompt',
+                description: 'captured: as generated, before rules and edits; sent: as sent to the API',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['captured', 'sent'],
+                defaultValue: 'captured',
+            }),
+        ],
+        helpString: '<div>Opens the last captured prompt in a read-only inspector.</div>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'inspect-prompt',
+        callback: (args) => {
+            const prompt = api.getPrompt('sent');
+            if (!prompt) return '';
+            const role = String(args.role ?? '').trim();
+            const index = String(args.index ?? '').trim();
+            if (!prompt.isChat || (!role && !index)) return prompt.text;
+
+            const selected = selectMessages(JSON.parse(prompt.text), role, index);
+            if (Array.isArray(selected)) return JSON.stringify(selected, null, 4);
+            return selected ? messageContent(selected) : '';
+        },
+        returns: 'the last sent prompt, or the content of the selected message',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'role',
+                description: 'only messages with this role (Chat Completion); without index the first one',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['system', 'user', 'assistant', 'tool'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'index',
+                description: 'message index (Chat Completion), negative counts from the end',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: `
+            <div>Returns the last prompt sent to the API: the whole prompt, or the content of one message.</div>
+            <div><strong>Example:</strong> <pre><code class="language-stscript">/inspect-prompt role=system | /echo</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'inspect-inject',
+        callback: (args, value) => {
+            const at = ['start', 'end'].includes(String(args.at)) ? String(args.at) : 'replace';
+            const role = String(args.role ?? '').trim() || 'system';
+            api.inject(String(value ?? ''), /** @type {any} */ (at), role);
+            return '';
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'at',
+                description: 'replace the prompt (Chat Completion: a JSON array of messages), or add the text at the start or end',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['replace', 'start', 'end'],
+                defaultValue: 'replace',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'role',
+                description: 'role of the added message for at=start/end (Chat Completion)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['system', 'user', 'assistant'],
+                defaultValue: 'system',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'text',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Puts text into the editor of the next inspected prompt, where it can be reviewed before sending. Turns on "inspect next" if inspection is off.</div>
+            <div><strong>Example:</strong> <pre><code class="language-stscript">/inspect-inject at=end role=user Answer in one sentence. | /trigger</code></pre></div>
+        `,
+    }));
+}
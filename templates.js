@@ -0,0 +1,51 @@
+// templates.js - Prompt Inspector
+// Markers of the active instruct and context templates, with {{user}}/{{char}}
+// resolved, as found in text completion prompts. Shared by the highlighter
+// and the outline (which the block editor uses too).
+//
+// -----------------------------------------------------------------------------
+
+import { substituteParams } from '../../../../script.js';
+import { power_user } from '../../../power-user.js';
+
+const ROLE_SEQUENCES = {
+    user: ['input_sequence', 'first_input_sequence', 'last_input_sequence'],
+    assistant: ['output_sequence', 'first_output_sequence', 'last_output_sequence'],
+    system: ['system_sequence', 'last_system_sequence'],
+};
+const SUFFIXES = ['input_suffix', 'output_suffix', 'system_suffix'];
+const OTHER_SEQUENCES = ['stop_sequence', 'story_string_prefix', 'story_string_suffix'];
+
+/** Template value with macros substituted and trimmed, '' when unset */
+function resolve(s) {
+    if (typeof s !== 'string' || !s.trim()) return '';
+    try { return substituteParams(s).trim(); } catch { return s.trim(); }
+}
+
+/**
+ * Sequences of the instruct template, empty when instruct mode is off.
+ * @returns {{ enabled: boolean, roles: { marker: string, role: string }[], suffixes: string[], other: string[] }}
+ */
+export function getInstructMarkers() {
+    const instruct = power_user.instruct ?? {};
+    const markers = { enabled: !!instruct.enabled, roles: [], suffixes: [], other: [] };
+    if (!markers.enabled) return markers;
+    for (const [role, keys] of Object.entries(ROLE_SEQUENCES)) {
+        for (const key of keys) {
+            const marker = resolve(instruct[key]);
+            if (marker) markers.roles.push({ marker, role });
+        }
+    }
+    markers.suffixes = SUFFIXES.map(key => resolve(instruct[key])).filter(Boolean);
+    markers.other = OTHER_SEQUENCES.map(key => resolve(instruct[key])).filter(Boolean);
+    return markers;
+}
+
+/**
+ * Separators of the context template.
+ * @returns {{ exampleSeparator: string, chatStart: string }}
+ */
+export function getContextMarkers() {
+    const context = power_user.context ?? {};
+    return { exampleSeparator: resolve(context.example_separator), chatStart: resolve(context.chat_start) };
+}
@@ -0,0 +1,87 @@
+// diff.test.js - Prompt Inspector
+// Tests for the sequence, line and word diffs behind "Review changes".
+//
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffSequences, revertGroup } from '../diff.js';
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+/** Small deterministic PRNG, so failures can be reproduced */
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+/** Ops cover both sequences in order, and equal runs really are equal */
+function assertCovers(a, b, ops) {
+    let ai = 0;
+    let bi = 0;
+    for (const op of ops) {
+        assert.equal(op.aStart, ai);
+        assert.equal(op.bStart, bi);
+        if (op.type === 'equal') assert.deepEqual(a.slice(op.aStart, op.aEnd), b.slice(op.bStart, op.bEnd));
+        ai = op.aEnd;
+        bi = op.bEnd;
+    }
+    assert.equal(ai, a.length);
+    assert.equal(bi, b.length);
+}
+
+const editCount = (ops) => ops.reduce((sum, op) => sum + (op.type === 'equal' ? 0 : op.aEnd - op.aStart + op.bEnd - op.bStart), 0);
+
+/** Edit distance (insertions + deletions) by dynamic programming, for small inputs */
+function editDistance(a, b) {
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = a[i - 1] === b[j - 1] ? row[j - 1] : 1 + Math.min(row[j], next[j - 1]);
+        }
+        row = next;
+    }
+    return row[b.length];
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Sequences
+// ───────────────────────────────────────────────────────────────────────────────
+test('random sequences get a shortest edit script', () => {
+    const next = random(3);
+    for (let round = 0; round < 2000; round++) {
+        const alphabet = 1 + Math.floor(next() * 4);
+        const a = Array.from({ length: Math.floor(next() * 16) }, () => Math.floor(next() * alphabet));
+        const b = Array.from({ length: Math.floor(next() * 16) }, () => Math.floor(next() * alphabet));
+        const ops = diffSequences(a, b);
+        assertCovers(a, b, ops);
+        assert.equal(editCount(ops), editDistance(a, b), `${a} → ${b}`);
+    }
+});
+
+test('very different sequences fall back to one replacement', () => {
+    const a = Array.from({ length: 20_000 }, (_, i) => i);
+    const b = a.map((x) => -x - 1);
+    const ops = diffSequences(a, b);
+    assertCovers(a, b, ops);
+    assert.deepEqual(ops.map((op) => op.type), ['delete', 'insert']);
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Lines
+// ───────────────────────────────────────────────────────────────────────────────
+test('reverting every group of a line diff gives back the old text', () => {
+    const oldText = 'one\ntwo\nthree\nfour\nfive';
+    const newText = 'zero\none\n2\nthree\nfive\nsix';
+    const { oldLines, newLines, groups } = diffLines(oldText, newText);
+    assert.equal(groups.length, 4);
+    let text = newText;
+    for (const group of [...groups].reverse()) text = revertGroup(oldLines, text.split('\n'), group);
+    assert.equal(text, oldText);
+    assert.equal(newLines.length, 6);
+});
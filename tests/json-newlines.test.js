@@ -0,0 +1,236 @@
+// json-newlines.test.js - Prompt Inspector
+// Round-trip tests for the raw ↔ friendly transforms and their offset maps.
+// Headless: run with `npm test` (node --test), no browser needed.
+//
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeJsonStrings, encodeJsonStrings, jsonStringsDisplayNewlines, jsonStringsSaveNewlines } from '../json-newlines.js';
+
+const BS = '\\';
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ───────────────────────────────────────────────────────────────────────────────
+/** Small deterministic PRNG, so failures can be reproduced */
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+function assertRoundTrip(raw) {
+    const friendly = jsonStringsDisplayNewlines(raw);
+    assert.equal(jsonStringsSaveNewlines(friendly), raw, `round trip of ${JSON.stringify(raw)}`);
+}
+
+/** Every offset maps into range, monotonically, and verbatim text maps onto itself */
+function assertMapConsistent(result, source) {
+    const { map, text } = result;
+    assert.equal(map.sourceLength, source.length);
+    assert.equal(map.outputLength, text.length);
+    let last = 0;
+    for (let i = 0; i <= source.length; i++) {
+        const out = map.toOutput(i);
+        assert.ok(out >= last && out <= text.length, `toOutput(${i}) = ${out}`);
+        last = out;
+    }
+    last = 0;
+    for (let i = 0; i <= text.length; i++) {
+        const src = map.toSource(i);
+        assert.ok(src >= last && src <= source.length, `toSource(${i}) = ${src}`);
+        last = src;
+    }
+    assert.equal(map.toOutput(0), 0);
+    assert.equal(map.toOutput(source.length), text.length);
+    assert.equal(map.toSource(text.length), source.length);
+}
+
+/** An incremental scan gives the same text and map as a full one */
+function assertSameResult(incremental, full, source) {
+    assert.equal(incremental.text, full.text, `text after editing to ${JSON.stringify(source)}`);
+    for (let i = 0; i <= source.length; i++) {
+        assert.equal(incremental.map.toOutput(i), full.map.toOutput(i), `toOutput(${i}) of ${JSON.stringify(source)}`);
+        assert.equal(incremental.map.toOutput(i, 'end'), full.map.toOutput(i, 'end'), `toOutput(${i}, end) of ${JSON.stringify(source)}`);
+    }
+    for (let i = 0; i <= full.text.length; i++) {
+        assert.equal(incremental.map.toSource(i), full.map.toSource(i), `toSource(${i}) of ${JSON.stringify(source)}`);
+    }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Decoding and encoding
+// ───────────────────────────────────────────────────────────────────────────────
+test('escapes inside strings become the characters they stand for', () => {
+    assert.equal(jsonStringsDisplayNewlines(JSON.stringify(['a\nb\tc\r'])), '["a\nb\tc\r"]');
+    assert.equal(jsonStringsDisplayNewlines('["a\\/b"]'), '["a/b"]');
+    assert.equal(jsonStringsDisplayNewlines('["\\u00e9\\u0041"]'), '["éA"]');
+});
+
+test('text outside strings is left alone', () => {
+    assert.equal(jsonStringsDisplayNewlines('[1, \\n, "x"]'), '[1, \\n, "x"]');
+    assert.equal(jsonStringsDisplayNewlines('not json \\n'), 'not json \\n');
+});
+
+test('\\\\n stays escaped, \\n becomes a line break', () => {
+    // \\n in the raw JSON is a backslash followed by the letter n
+    assert.equal(jsonStringsDisplayNewlines(`["${BS}${BS}n"]`), `["${BS}${BS}n"]`);
+    assert.equal(jsonStringsDisplayNewlines(`["${BS}n"]`), '["\n"]');
+});
+
+test('odd and even backslash runs before n', () => {
+    for (let run = 0; run <= 7; run++) {
+        const raw = `["${BS.repeat(run)}n"]`;
+        const friendly = jsonStringsDisplayNewlines(raw);
+        const expected = run % 2
+            ? `["${BS.repeat(run - 1)}\n"]` // the last backslash escapes the n
+            : `["${BS.repeat(run)}n"]`; // every backslash is escaped, the n is a letter
+        assert.equal(friendly, expected, `${run} backslashes`);
+        assertRoundTrip(raw);
+        assert.equal(JSON.parse(jsonStringsSaveNewlines(friendly))[0], JSON.parse(raw)[0]);
+    }
+});
+
+test('escaped quotes keep the string open', () => {
+    const raw = JSON.stringify(['say "hi"\nnow', 'b\\"c']);
+    assert.equal(jsonStringsDisplayNewlines(raw), '["say \\"hi\\"\nnow","b\\\\\\"c"]');
+    assertRoundTrip(raw);
+});
+
+test('surrogate pairs', () => {
+    // Escaped pairs decode to the character; JSON.stringify keeps it unescaped and so does encoding
+    assert.equal(jsonStringsDisplayNewlines('["\\ud83d\\ude00"]'), '["😀"]');
+    assert.equal(jsonStringsSaveNewlines('["😀"]'), '["😀"]');
+    assertRoundTrip(JSON.stringify(['a😀b\n😀']));
+    // Lone surrogates can't be shown and stay escaped, in both directions
+    assert.equal(jsonStringsDisplayNewlines('["\\ud83d x"]'), '["\\ud83d x"]');
+    assert.equal(jsonStringsDisplayNewlines('["\\ude00"]'), '["\\ude00"]');
+    assertRoundTrip(JSON.stringify(['\ud83d', '\ude00x', 'x\ud83d\n']));
+    assert.equal(jsonStringsSaveNewlines('["\ud83d"]'), '["\\ud83d"]');
+});
+
+test('unterminated strings round-trip unchanged', () => {
+    for (const raw of ['["abc', '["a\\nb', '["a\\', '["a\\\\', '[{"role": "user", "content": "x\\n', '["a\\u00', '["a\\ud83d']) {
+        assertRoundTrip(raw);
+    }
+    assert.equal(jsonStringsDisplayNewlines('["a\\nb'), '["a\nb');
+});
+
+test('invalid escapes are kept as typed', () => {
+    for (const raw of ['["\\x41"]', '["\\u12"]', '["\\q\\n"]', '["\\u00zz"]']) assertRoundTrip(raw);
+    // Typing an escape into the friendly view keeps it
+    assert.equal(jsonStringsSaveNewlines('["a\\nb"]'), '["a\\nb"]');
+});
+
+test('control characters without a short escape stay escaped', () => {
+    const raw = JSON.stringify(['\b\f\u0001\u001f']);
+    assert.equal(jsonStringsDisplayNewlines(raw), raw);
+    assertRoundTrip(raw);
+});
+
+test('every JSON.stringify output round-trips exactly', () => {
+    const next = random(1);
+    const alphabet = ['a', ' ', '\n', '\r', '\t', '"', '\\', '/', 'n', 'u', '0', '\b', '\u0001', 'é', '😀', '\ud83d', '\ude00'];
+    for (let round = 0; round < 300; round++) {
+        const messages = [];
+        for (let m = 0; m < 3; m++) {
+            let content = '';
+            const length = Math.floor(next() * 20);
+            for (let c = 0; c < length; c++) content += alphabet[Math.floor(next() * alphabet.length)];
+            messages.push({ role: 'user', content });
+        }
+        assertRoundTrip(JSON.stringify(messages));
+        assertRoundTrip(JSON.stringify(messages, null, 4));
+    }
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Offset maps
+// ───────────────────────────────────────────────────────────────────────────────
+test('offsets map exactly around escapes', () => {
+    const raw = '["ab\\ncd"]';
+    const { text, map } = decodeJsonStrings(raw);
+    assert.equal(text, '["ab\ncd"]');
+    // Before the escape, the escape itself, after it
+    assert.equal(map.toOutput(4), 4);
+    assert.equal(map.toOutput(6), 5);
+    assert.equal(map.toSource(5), 6);
+    // Inside the escape: snaps to its start, or its end with bias 'end'
+    assert.equal(map.toOutput(5), 4);
+    assert.equal(map.toOutput(5, 'end'), 5);
+    // A selection of the line break covers the whole escape
+    assert.deepEqual(map.rangeToSource({ start: 4, end: 5 }), { start: 4, end: 6 });
+    assert.deepEqual(map.rangeToOutput({ start: 4, end: 6 }), { start: 4, end: 5 });
+});
+
+test('maps are monotonic and cover both texts', () => {
+    for (const raw of ['["a\\nb\\\\n\\"c"]', '["😀\\ud83d\\ude00\\n', '[1, "\\u0041", {"x": "\\t"}]', '["\\']) {
+        const decoded = decodeJsonStrings(raw);
+        assertMapConsistent(decoded, raw);
+        assertMapConsistent(encodeJsonStrings(decoded.text), decoded.text);
+    }
+});
+
+test('verbatim text maps onto itself in both directions', () => {
+    const raw = JSON.stringify([{ role: 'system', content: 'line one\nline two' }], null, 4);
+    const { text, map } = decodeJsonStrings(raw);
+    for (let i = 0; i <= text.length; i++) {
+        const source = map.toSource(i);
+        if (text[i] !== '\n' || raw[source] !== '\\') assert.equal(map.toOutput(source), i, `offset ${i}`);
+    }
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Incremental scan
+// ───────────────────────────────────────────────────────────────────────────────
+test('edits inside a string only change that string', () => {
+    const raw = JSON.stringify([{ role: 'user', content: 'first\nline' }, { role: 'assistant', content: 'second\nline' }]);
+    const previous = decodeJsonStrings(raw);
+    const at = raw.indexOf('second') + 3;
+    const edited = `${raw.slice(0, at)}\\n\\t${raw.slice(at)}`;
+    const incremental = decodeJsonStrings(edited, previous);
+    assertSameResult(incremental, decodeJsonStrings(edited), edited);
+    assert.ok(incremental.text.includes('sec\n\tond\nline'));
+});
+
+test('edits across string boundaries', () => {
+    const raw = JSON.stringify(['a\nb', 'c\nd', 'e\nf']);
+    const cases = [
+        raw.replace('","', ''), // joins two strings
+        raw.replace('c', '","c'), // splits one
+        raw.replace('"a', 'a'), // removes an opening quote, the rest flips inside/outside
+        raw.replace('b"', 'b'), // removes a closing quote
+        raw.replace('b', 'b\\'), // escapes the closing quote
+        raw.replace('b\\', 'b'),
+        raw.slice(0, -3), // cuts the end
+        `${raw.slice(0, 4)}"${raw.slice(4)}`, // inserts a quote
+    ];
+    for (const edited of cases) {
+        assertSameResult(decodeJsonStrings(edited, decodeJsonStrings(raw)), decodeJsonStrings(edited), edited);
+        const friendly = jsonStringsDisplayNewlines(raw);
+        const friendlyEdited = jsonStringsDisplayNewlines(edited);
+        assertSameResult(encodeJsonStrings(friendlyEdited, encodeJsonStrings(friendly)), encodeJsonStrings(friendlyEdited), friendlyEdited);
+    }
+});
+
+test('random edit sequences give the same result as a full scan', () => {
+    const next = random(7);
+    const pieces = ['"', '\\', '\\n', '\\\\', 'n', 'x', '\n', ',', ' ', '\\u00', 'e9', '😀', '\\ud83d', '"a"'];
+    for (const codec of [decodeJsonStrings, encodeJsonStrings]) {
+        let source = JSON.stringify([{ role: 'user', content: 'one\ntwo "three"' }, { role: 'assistant', content: 'four\\five' }], null, 2);
+        let previous = codec(source);
+        for (let step = 0; step < 400; step++) {
+            const start = Math.floor(next() * (source.length + 1));
+            const end = Math.min(source.length, start + Math.floor(next() * 4));
+            const insert = next() < 0.7 ? pieces[Math.floor(next() * pieces.length)] : '';
+            source = `${source.slice(0, start)}${insert}${source.slice(end)}`;
+            if (!source.startsWith('[')) source = `[${source}`;
+            const incremental = codec(source, previous);
+            assertSameResult(incremental, codec(source), source);
+            previous = incremental;
+        }
+    }
+});
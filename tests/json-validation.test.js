@@ -0,0 +1,76 @@
+// json-validation.test.js - Prompt Inspector
+// Tests for the JSON scanner and the Chat Completion prompt check.
+//
+// -----------------------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanJson, validateChatPrompt } from '../json-validation.js';
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Scanner
+// ───────────────────────────────────────────────────────────────────────────────
+test('valid documents have no error, and the offsets of the top-level elements', () => {
+    const text = '[\n  {"role": "user", "content": [1, {"a": []}]},\n  "x", 2\n]';
+    const scan = scanJson(text);
+    assert.equal(scan.error, null);
+    assert.deepEqual(scan.elementOffsets, [text.indexOf('{'), text.indexOf('"x"'), text.lastIndexOf('2')]);
+    for (const valid of ['{}', '[]', ' 5 ', '"x"', '{"a": {"b": [null, true, false, -1.5e3]}}']) {
+        assert.equal(scanJson(valid).error, null, valid);
+    }
+});
+
+test('errors point at the offending character', () => {
+    const cases = [
+        ['[1,]', 3, 'Trailing comma before \']\''],
+        ['{"a": 1,}', 8, 'Trailing comma before \'}\''],
+        ['[1 2]', 3, 'Expected \',\' or \']\' but found \'2\''],
+        ['{"a" 1}', 5, 'Expected \':\' but found \'1\''],
+        ['{1: 2}', 1, 'Expected a property name but found \'1\''],
+        ['["a\nb"]', 3, 'Unescaped line break inside a string'],
+        ['[1]x', 3, 'Unexpected \'x\' after the end of the JSON value'],
+        ['[', 1, 'Unexpected end of input, expected a value'],
+    ];
+    for (const [text, offset, message] of cases) {
+        assert.deepEqual(scanJson(text).error, { offset, message }, text);
+    }
+});
+
+test('deeply nested values are scanned without overflowing the call stack', () => {
+    const depth = 100_000;
+    assert.equal(scanJson('['.repeat(depth) + ']'.repeat(depth)).error, null);
+    assert.deepEqual(scanJson('['.repeat(depth)).error, { offset: depth, message: 'Unexpected end of input, expected a value' });
+    assert.equal(scanJson('{"a":'.repeat(depth) + '1' + '}'.repeat(depth - 1)).error?.message, 'Expected \',\' or \'}\' but found end of input');
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Prompt check
+// ───────────────────────────────────────────────────────────────────────────────
+test('a list of role/content messages is a valid prompt', () => {
+    const result = validateChatPrompt(JSON.stringify([{ role: 'system', content: 'a' }, { role: 'user', content: [{ type: 'text', text: 'b' }] }]));
+    assert.equal(result.ok, true);
+    assert.equal(result.messages.length, 2);
+});
+
+test('schema errors point at the message', () => {
+    const text = '[{"role": "user", "content": "a"}, {"content": "b"}]';
+    assert.deepEqual(validateChatPrompt(text), { ok: false, kind: 'schema', offset: text.indexOf('{"content"'), message: 'Message #1 has no "role"' });
+    assert.equal(validateChatPrompt('{"role": "user"}').message, 'The prompt must be a JSON array of messages');
+    assert.equal(validateChatPrompt('[{"role": "user"}]').message, 'Message #0 has no "content"');
+    assert.equal(validateChatPrompt('[{"role": "user", "content": 1}]').message, 'Message #0 "content" must be a string or an array of parts');
+});
+
+test('tool call messages may have missing or null content', () => {
+    const call = { id: 'call_1', type: 'function', function: { name: 'roll', arguments: '{"sides":20}' } };
+    const messages = [
+        { role: 'user', content: 'Roll a die' },
+        { role: 'assistant', tool_calls: [call] }, // content: undefined, dropped by JSON.stringify
+        { role: 'assistant', content: null, tool_calls: [call] },
+        { role: 'tool', tool_call_id: 'call_1', content: '17' },
+    ];
+    const result = validateChatPrompt(JSON.stringify(messages, null, 4));
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.messages, JSON.parse(JSON.stringify(messages)));
+    // Without tool calls the content is still required
+    assert.equal(validateChatPrompt('[{"role": "assistant", "tool_calls": []}]').message, 'Message #0 has no "content"');
+});
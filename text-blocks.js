@@ -0,0 +1,243 @@
+// text-blocks.js - Prompt Inspector
+// Block editor for Text Completion prompts.
+//
+// The prompt is split at the sections the outline finds: the story string,
+// example dialogues, the chat start and every message opened by an instruct
+// sequence (or "Name:"). Each block keeps its opening sequence and its closing
+// suffix/whitespace as fixed parts, so only the content is edited, and deleting
+// a block removes the whole turn. Joining the blocks gives back the exact
+// prompt string.
+//
+// -----------------------------------------------------------------------------
+
+import { t } from '../../../i18n.js';
+import { autoResize, iconButton } from './chat-editor.js';
+import { outlineTextSections } from './outline.js';
+
+/** Blocks expanded when the editor opens; longer prompts only show the last ones */
+const EXPANDED_BLOCKS = 50;
+const EXPANDED_TAIL = 10;
+
+/**
+ * @typedef {object} TextBlock
+ * @property {string} label
+ * @property {string} kind 'story', 'examples', 'chat' or 'message'
+ * @property {string} prefix Opening sequence or separator, with the line break after it
+ * @property {string} body Editable content
+ * @property {string} suffix Closing suffix and trailing whitespace
+ * @property {boolean} collapsed
+ */
+
+/**
+ * Splits a prompt into blocks. Joining prefix + body + suffix of all blocks gives the text back.
+ * @param {string} text
+ * @param {ReturnType<typeof import('./outline.js').getOutlineMarkers>} markers
+ * @returns {TextBlock[]}
+ */
+export function splitTextPrompt(text, markers) {
+    // Markers can share a start (the default context template uses *** for both the example
+    // separator and the chat start); only the last section starting there is kept
+    const sections = outlineTextSections(text, markers)
+        .filter(section => section.kind !== 'worldinfo')
+        .filter((section, index, all) => all[index + 1]?.start !== section.start);
+    if (!sections.length || sections[0].start > 0) {
+        sections.unshift({ start: 0, end: sections[0]?.start ?? text.length, contentStart: 0, label: 'Story string', preview: '', kind: 'story' });
+    }
+
+    const blocks = sections.map(({ start, end, contentStart, label, kind }) => {
+        let bodyStart = Math.min(contentStart ?? start, end);
+        if (bodyStart > start && bodyStart < end && text[bodyStart] === '\n') bodyStart++;
+
+        let bodyEnd = end;
+        while (bodyEnd > bodyStart && /\s/.test(text[bodyEnd - 1])) bodyEnd--;
+        const head = text.slice(bodyStart, bodyEnd);
+        const suffix = markers.suffixes.find(s => head.endsWith(s));
+        if (suffix) bodyEnd -= suffix.length;
+
+        return {
+            label,
+            kind,
+            prefix: text.slice(start, bodyStart),
+            body: text.slice(bodyStart, bodyEnd),
+            suffix: text.slice(bodyEnd, end),
+            collapsed: false,
+        };
+    });
+
+    // Anything the sections don't describe exactly is edited as one block rather than changed
+    if (joinTextBlocks(blocks) === text) return blocks;
+    return [{ label: 'Prompt', kind: 'story', prefix: '', body: text, suffix: '', collapsed: false }];
+}
+
+/**
+ * @param {TextBlock[]} blocks
+ * @returns {string}
+ */
+export function joinTextBlocks(blocks) {
+    return blocks.map(b => b.prefix + b.body + b.suffix).join('');
+}
+
+// Fixed parts are shown with visible line breaks
+function showFixed(s) {
+    return s.replace(/\n/g, '↵\n').replace(/\t/g, '→');
+}
+
+/**
+ * Creates a block editor for a Text Completion prompt.
+ * @param {string} text
+ * @param {ReturnType<typeof import('./outline.js').getOutlineMarkers>} markers
+ * @returns {{ element: HTMLDivElement, getText: () => string, setText: (text: string) => void, onChange: (cb: () => void) => void }}
+ */
+export function createTextBlockEditor(text, markers) {
+    let blocks = [];
+    const changeListeners = [];
+
+    const root = document.createElement('div');
+    root.id = 'inspectPromptBlocks';
+    root.className = 'flex1 flex-container flexFlowColumn flexNoGap';
+    root.style.overflow = 'auto';
+    root.style.minHeight = '0';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'flex-container alignItemsCenter';
+    toolbar.style.gap = '6px';
+    toolbar.style.marginBottom = '6px';
+    const summary = document.createElement('small');
+    summary.style.flex = '1';
+    summary.style.textAlign = 'left';
+    toolbar.appendChild(summary);
+    const expandAll = iconButton('fa-angles-down', t`Expand all`, 'expandAll');
+    const collapseAll = iconButton('fa-angles-up', t`Collapse all`, 'collapseAll');
+    toolbar.append(expandAll, collapseAll);
+    root.appendChild(toolbar);
+
+    const list = document.createElement('div');
+    list.className = 'flex-container flexFlowColumn';
+    list.style.gap = '6px';
+    root.appendChild(list);
+
+    function emitChange() {
+        for (const cb of changeListeners) cb();
+    }
+
+    function updateSummary() {
+        const length = blocks.reduce((sum, b) => sum + b.prefix.length + b.body.length + b.suffix.length, 0);
+        summary.textContent = t`${blocks.length} blocks, ${length} characters`;
+    }
+
+    function fixedPart(value, title) {
+        const code = document.createElement('code');
+        code.className = 'prompt-inspector-block-fixed';
+        code.textContent = showFixed(value);
+        code.title = title;
+        return code;
+    }
+
+    function buildBlock(block, index) {
+        const card = document.createElement('div');
+        card.className = `prompt-inspector-block prompt-inspector-block-${block.kind} flex-container flexFlowColumn`;
+        card.dataset.index = String(index);
+
+        const header = document.createElement('div');
+        header.className = 'flex-container alignItemsCenter';
+        header.style.gap = '6px';
+        header.appendChild(iconButton(block.collapsed ? 'fa-chevron-right' : 'fa-chevron-down', block.collapsed ? t`Expand` : t`Collapse`, 'toggle'));
+
+        const label = document.createElement('b');
+        label.textContent = block.label;
+        header.appendChild(label);
+
+        const preview = document.createElement('small');
+        preview.className = 'prompt-inspector-block-preview';
+        preview.textContent = block.collapsed ? block.body.replace(/\s+/g, ' ').trim().slice(0, 120) : '';
+        header.appendChild(preview);
+
+        const size = document.createElement('small');
+        size.style.opacity = '0.7';
+        size.style.whiteSpace = 'nowrap';
+        size.textContent = t`${block.body.length} chars`;
+        header.appendChild(size);
+
+        header.appendChild(iconButton('fa-trash-can', t`Delete this block with its sequences`, 'delete'));
+        card.appendChild(header);
+
+        if (block.collapsed) return card;
+
+        if (block.prefix) card.appendChild(fixedPart(block.prefix, t`Opening sequence (kept as is)`));
+        const textarea = document.createElement('textarea');
+        textarea.className = 'text_pole monospace textarea_compact';
+        textarea.value = block.body;
+        textarea.rows = 2;
+        textarea.style.resize = 'vertical';
+        textarea.style.margin = '0';
+        textarea.addEventListener('input', () => {
+            block.body = textarea.value;
+            size.textContent = t`${block.body.length} chars`;
+            autoResize(textarea);
+            updateSummary();
+            emitChange();
+        });
+        card.appendChild(textarea);
+        if (block.suffix) card.appendChild(fixedPart(block.suffix, t`Closing suffix and line breaks (kept as is)`));
+        return card;
+    }
+
+    function render() {
+        const scrollTop = root.scrollTop;
+        list.replaceChildren(...blocks.map(buildBlock));
+        root.scrollTop = scrollTop;
+        updateSummary();
+        // Sizes are only known once the blocks are attached
+        requestAnimationFrame(() => list.querySelectorAll('textarea').forEach(autoResize));
+    }
+
+    function onAction(action, index) {
+        switch (action) {
+            case 'toggle':
+                blocks[index].collapsed = !blocks[index].collapsed;
+                render();
+                break;
+            case 'delete':
+                blocks.splice(index, 1);
+                render();
+                emitChange();
+                break;
+            case 'expandAll':
+            case 'collapseAll':
+                for (const block of blocks) block.collapsed = action === 'collapseAll';
+                render();
+                break;
+        }
+    }
+
+    root.addEventListener('click', (e) => {
+        const target = e.target instanceof HTMLElement ? e.target : null;
+        const action = target?.dataset.action;
+        if (!action) return;
+        const card = target.closest('.prompt-inspector-block');
+        onAction(action, card ? Number(card.dataset.index) : -1);
+    });
+    root.addEventListener('keydown', (e) => {
+        const target = e.target instanceof HTMLElement ? e.target : null;
+        if (!target?.dataset.action || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        target.click();
+    });
+
+    function setText(value) {
+        blocks = splitTextPrompt(value, markers);
+        if (blocks.length > EXPANDED_BLOCKS) {
+            blocks.forEach((block, index) => { block.collapsed = index > 0 && index < blocks.length - EXPANDED_TAIL; });
+        }
+        render();
+    }
+
+    setText(text);
+
+    return {
+        element: root,
+        getText: () => joinTextBlocks(blocks),
+        setText,
+        onChange: (cb) => { changeListeners.push(cb); },
+    };
+}
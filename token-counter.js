@@ -0,0 +1,56 @@
+// token-counter.js - Prompt Inspector
+// Token figures for the prompt being edited, using SillyTavern's tokenizer
+// for the current API/model, and the configured context limits to check against.
+//
+// -----------------------------------------------------------------------------
+
+import { getMaxContextSize, main_api, max_context } from '../../../../script.js';
+import { oai_settings } from '../../../openai.js';
+import { countTokensOpenAIAsync, getTokenCountAsync } from '../../../tokenizers.js';
+
+/**
+ * Counts tokens of a prompt.
+ * Chat Completion prompts are counted per message (including per-message overhead);
+ * the total is the sum of the messages.
+ * @param {string} text Raw prompt text (JSON for chat completion)
+ * @param {object[]|null} messages Parsed messages, or null to count the text as a whole
+ * @returns {Promise<{ total: number, perMessage: number[] | null }>}
+ */
+export async function countPromptTokens(text, messages) {
+    if (Array.isArray(messages)) {
+        const perMessage = [];
+        for (const message of messages) {
+            perMessage.push(await countTokensOpenAIAsync(message, true));
+        }
+        const total = perMessage.reduce((a, b) => a + b, 0);
+        return { total, perMessage };
+    }
+
+    return { total: await getTokenCountAsync(text, 0), perMessage: null };
+}
+
+/**
+ * Context size and the part of it that is left for the prompt after the response length.
+ * @returns {{ context: number, maxPrompt: number }}
+ */
+export function getPromptLimits() {
+    const context = main_api === 'openai' ? Number(oai_settings.openai_max_context) : Number(max_context);
+    return { context, maxPrompt: getMaxContextSize() };
+}
+
+/**
+ * Describes the total against the limits.
+ * @param {number} total
+ * @returns {{ level: 'ok' | 'warning' | 'error', text: string }}
+ */
+export function describeTokenTotal(total) {
+    const { context, maxPrompt } = getPromptLimits();
+    const figures = `${total} tokens / ${maxPrompt} max prompt (context ${context})`;
+    if (total > context) {
+        return { level: 'error', text: `${figures} — exceeds the context size, the backend will truncate or reject it` };
+    }
+    if (total > maxPrompt) {
+        return { level: 'warning', text: `${figures} — exceeds the max prompt size, no room left for the response length` };
+    }
+    return { level: 'ok', text: figures };
+}
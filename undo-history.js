@@ -0,0 +1,87 @@
+// undo-history.js - Prompt Inspector
+// View-independent undo/redo for the editor.
+//
+// Edits are recorded against the RAW prompt (escaped \n), as small patches
+// (common prefix/suffix trimmed), so toggling the line break view never
+// touches the history and huge prompts don't get copied on every step.
+//
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {{ start: number, deleted: string, inserted: string }} Patch
+ * @typedef {{ text: string, selection: { start: number, end: number } }} UndoState
+ */
+
+/**
+ * Smallest single replacement turning `before` into `after`.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Patch | null}
+ */
+export function computePatch(before, after) {
+    if (before === after) return null;
+    let start = 0;
+    const max = Math.min(before.length, after.length);
+    while (start < max && before.charCodeAt(start) === after.charCodeAt(start)) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before.charCodeAt(endBefore - 1) === after.charCodeAt(endAfter - 1)) {
+        endBefore--;
+        endAfter--;
+    }
+    return { start, deleted: before.slice(start, endBefore), inserted: after.slice(start, endAfter) };
+}
+
+/**
+ * Creates an undo history.
+ * @param {string} initialText Raw text the history starts from
+ * @param {number} [limit] Max number of undo steps
+ */
+export function createUndoHistory(initialText, limit = 500) {
+    let base = initialText;
+    /** @type {Patch[]} */
+    const done = [];
+    /** @type {Patch[]} */
+    const undone = [];
+
+    return {
+        /** Text the history is currently at */
+        get text() { return base; },
+        get canUndo() { return done.length > 0; },
+        get canRedo() { return undone.length > 0; },
+
+        /**
+         * Records the current text as a new step (no-op if unchanged).
+         * @param {string} text
+         * @returns {boolean} Whether a step was recorded
+         */
+        commit(text) {
+            const patch = computePatch(base, text);
+            if (!patch) return false;
+            done.push(patch);
+            if (done.length > limit) done.shift();
+            undone.length = 0;
+            base = text;
+            return true;
+        },
+
+        /** @returns {UndoState | null} The restored text, with the restored part selected */
+        undo() {
+            const patch = done.pop();
+            if (!patch) return null;
+            base = base.slice(0, patch.start) + patch.deleted + base.slice(patch.start + patch.inserted.length);
+            undone.push(patch);
+            return { text: base, selection: { start: patch.start, end: patch.start + patch.deleted.length } };
+        },
+
+        /** @returns {UndoState | null} The re-applied text, with the caret after the edit */
+        redo() {
+            const patch = undone.pop();
+            if (!patch) return null;
+            base = base.slice(0, patch.start) + patch.inserted + base.slice(patch.start + patch.deleted.length);
+            done.push(patch);
+            const caret = patch.start + patch.inserted.length;
+            return { text: base, selection: { start: caret, end: caret } };
+        },
+    };
+}